@@ -1,10 +1,16 @@
 import React from 'react';
 import GymTracker from './components/GymTracker';
+import { WorkoutProvider } from './store/WorkoutContext';
+import { RestTimerProvider } from './store/RestTimerContext';
 
 function App() {
   return (
     <div className="App">
-      <GymTracker />
+      <WorkoutProvider>
+        <RestTimerProvider>
+          <GymTracker />
+        </RestTimerProvider>
+      </WorkoutProvider>
     </div>
   );
 }
@@ -0,0 +1,33 @@
+import React, { useEffect } from 'react';
+import { Trophy, X } from 'lucide-react';
+
+const TOAST_DURATION_MS = 6000;
+
+// Shown at the top so it never covers the undo toast
+const AchievementToast = ({ message, onDismiss }) => {
+  // Restart the timer whenever a new message replaces the current one
+  useEffect(() => {
+    const timeoutId = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timeoutId);
+  }, [message, onDismiss]);
+
+  return (
+    <div className="fixed top-6 left-1/2 -translate-x-1/2 z-50 px-4 w-full max-w-sm">
+      <div className="flex items-center justify-between bg-amber-50 border border-amber-200 text-amber-800 rounded-lg shadow-lg px-4 py-3">
+        <div className="flex items-center text-sm font-medium">
+          <Trophy className="w-5 h-5 mr-2 text-amber-600 flex-shrink-0" />
+          {message}
+        </div>
+        <button
+          onClick={onDismiss}
+          className="ml-4 text-amber-500 hover:text-amber-700"
+          title="Dismiss"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AchievementToast;
@@ -0,0 +1,81 @@
+import React from 'react';
+import { addDays, getStartOfWeek } from '../selectors/workoutSelectors';
+import { HEATMAP_LEVELS, getHeatmapColor } from '../utils/streaks';
+
+const WEEKS = 53;
+const CELL = 11;
+const GAP = 3;
+const LEFT = 28;
+const TOP = 16;
+const DAY_LABELS = [[0, 'Mon'], [2, 'Wed'], [4, 'Fri']];
+
+// GitHub-style year of training: one column per week (Monday at the top),
+// shaded by sets logged that day. Tapping a day opens it in the day editor.
+// `dailySets` maps local-midnight timestamps to set counts.
+const ActivityHeatmap = ({ dailySets, today, onOpenDay }) => {
+  const firstWeek = addDays(getStartOfWeek(today), -(WEEKS - 1) * 7);
+  const width = LEFT + WEEKS * (CELL + GAP);
+  const height = TOP + 7 * (CELL + GAP);
+
+  const cells = [];
+  const monthLabels = [];
+  for (let week = 0; week < WEEKS; week++) {
+    const weekStart = addDays(firstWeek, week * 7);
+    // Label a column when a new month starts within it
+    const monthStart = Array.from({ length: 7 }, (_, day) => addDays(weekStart, day)).find(date => date.getDate() === 1);
+    if (monthStart) {
+      monthLabels.push({ week, label: monthStart.toLocaleDateString('en-US', { month: 'short' }) });
+    }
+
+    for (let day = 0; day < 7; day++) {
+      const date = addDays(weekStart, day);
+      if (date > today) break;
+      const sets = dailySets.get(date.getTime()) || 0;
+      cells.push(
+        <rect
+          key={date.getTime()}
+          x={LEFT + week * (CELL + GAP)}
+          y={TOP + day * (CELL + GAP)}
+          width={CELL}
+          height={CELL}
+          rx="2"
+          fill={getHeatmapColor(sets)}
+          className="cursor-pointer hover:stroke-slate-500"
+          onClick={() => onOpenDay(date)}
+        >
+          <title>{`${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}: ${sets} ${sets === 1 ? 'set' : 'sets'}`}</title>
+        </rect>
+      );
+    }
+  }
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <svg width={width} height={height} className="block">
+          {monthLabels.map(({ week, label }) => (
+            <text key={week} x={LEFT + week * (CELL + GAP)} y={TOP - 6} className="text-xs fill-slate-500">
+              {label}
+            </text>
+          ))}
+          {DAY_LABELS.map(([day, label]) => (
+            <text key={label} x={0} y={TOP + day * (CELL + GAP) + CELL - 2} className="text-xs fill-slate-400">
+              {label}
+            </text>
+          ))}
+          {cells}
+        </svg>
+      </div>
+
+      <div className="flex items-center justify-end mt-2 text-xs text-slate-500">
+        <span className="mr-1">Less</span>
+        {[...HEATMAP_LEVELS].reverse().map(level => (
+          <span key={level.minSets} className="w-3 h-3 rounded-sm mx-0.5" style={{ backgroundColor: level.color }}></span>
+        ))}
+        <span className="ml-1">More</span>
+      </div>
+    </div>
+  );
+};
+
+export default ActivityHeatmap;
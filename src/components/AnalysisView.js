@@ -0,0 +1,294 @@
+import React, { useState, useMemo } from 'react';
+import { TrendingUp, LineChart as LineChartIcon } from 'lucide-react';
+import RadarChart from './RadarChart';
+import MuscleIcon from './MuscleIcon';
+import PersonalRecordsBoard from './PersonalRecordsBoard';
+import ProgressChartModal from './ProgressChartModal';
+import ConsistencyPanel from './ConsistencyPanel';
+import TrophyCase from './TrophyCase';
+import BalancePanel from './BalancePanel';
+import BodyMetricsPanel from './BodyMetricsPanel';
+import CardioPanel from './CardioPanel';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import {
+  RADAR_WINDOWS,
+  calculateMuscleStats,
+  getRecentActivity,
+  getWindowRange,
+  getPreviousRange,
+  getRadarSeries
+} from '../selectors/statsSelectors';
+import { getPersonalRecords, getRecordBoard, getStrongestLiftByBodyPart } from '../selectors/recordSelectors';
+import { getAchievements } from '../selectors/achievementSelectors';
+import { getLatestBodyMetric } from '../selectors/bodyMetricSelectors';
+import { roundRecord } from '../utils/records';
+import { XP_CURVES, DECAY_GRACE_DAYS } from '../utils/xp';
+import { formatBodyweightMultiple } from '../utils/bodyMetrics';
+import { isCardioPart } from '../utils/cardio';
+import { toDateInputValue, fromDateInputValue } from '../utils/dates';
+
+const formatShortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const AnalysisView = ({ onStartTracking, onOpenDay }) => {
+  const { workouts, bodyParts, today, oneRepMaxFormula, xpSettings, setXpSettings, bodyMetrics } = useWorkoutStore();
+  const [chartBodyPart, setChartBodyPart] = useState(null);
+  const [radarWindow, setRadarWindow] = useState('30d');
+  const [customStart, setCustomStart] = useState(() => toDateInputValue(new Date(today.getFullYear(), today.getMonth(), 1)));
+  const [customEnd, setCustomEnd] = useState(() => toDateInputValue(today));
+  const [isComparing, setIsComparing] = useState(false);
+
+  // Cardio has its own panel; the radar and level cards cover strength work
+  const strengthParts = useMemo(() => bodyParts.filter(part => !isCardioPart(part)), [bodyParts]);
+  const muscleStats = useMemo(
+    () => calculateMuscleStats(workouts, bodyParts, { today, settings: xpSettings, formula: oneRepMaxFormula }),
+    [workouts, bodyParts, today, xpSettings, oneRepMaxFormula]
+  );
+  const recentActivity = useMemo(() => getRecentActivity(workouts, today), [workouts, today]);
+  const { bests } = useMemo(() => getPersonalRecords(workouts, oneRepMaxFormula), [workouts, oneRepMaxFormula]);
+  const strongestLifts = useMemo(() => getStrongestLiftByBodyPart(bests), [bests]);
+  const recordBoard = useMemo(() => getRecordBoard(bests), [bests]);
+  const bodyweight = getLatestBodyMetric(bodyMetrics, 'weight', today);
+  const achievements = useMemo(() => getAchievements(workouts, bodyParts), [workouts, bodyParts]);
+
+  // Radar window, and the period of the same length just before it to compare against
+  const radarRange = getWindowRange(radarWindow, today, {
+    start: fromDateInputValue(customStart),
+    end: fromDateInputValue(customEnd)
+  });
+  const compareRange = isComparing && radarRange ? getPreviousRange(radarRange) : null;
+  const radarSeries = getRadarSeries(workouts, strengthParts, radarRange, compareRange);
+  const describeRange = (range) => `${formatShortDate(range.start)} – ${formatShortDate(range.end)}`;
+
+  return (
+    <div className="space-y-8">
+      {/* Page Title */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-slate-800 mb-2">Strength Analysis</h2>
+        <p className="text-slate-600">Visualize your muscle group development and find areas to improve</p>
+      </div>
+
+      {workouts.length > 0 ? (
+        <>
+          {/* Radar Chart */}
+          <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-8">
+            <h3 className="text-xl font-semibold text-slate-800 mb-4 text-center">Muscle Group Distribution</h3>
+
+            <div className="flex flex-wrap items-center justify-center gap-2 mb-3">
+              {RADAR_WINDOWS.map(option => (
+                <button
+                  key={option.id}
+                  onClick={() => setRadarWindow(option.id)}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                    radarWindow === option.id ? 'bg-orange-500 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+
+            <div className="flex flex-wrap items-center justify-center gap-3 mb-8 text-sm text-slate-600">
+              {radarWindow === 'custom' && (
+                <>
+                  <input
+                    type="date"
+                    value={customStart}
+                    max={customEnd}
+                    onChange={(e) => setCustomStart(e.target.value)}
+                    className="bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+                  />
+                  <span>to</span>
+                  <input
+                    type="date"
+                    value={customEnd}
+                    min={customStart}
+                    max={toDateInputValue(today)}
+                    onChange={(e) => setCustomEnd(e.target.value)}
+                    className="bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+                  />
+                </>
+              )}
+              <label className={`flex items-center ${radarRange ? '' : 'opacity-50'}`}>
+                <input
+                  type="checkbox"
+                  checked={isComparing}
+                  disabled={!radarRange}
+                  onChange={(e) => setIsComparing(e.target.checked)}
+                  className="mr-2 accent-orange-500"
+                />
+                Compare with previous period
+              </label>
+            </div>
+
+            <div className="flex justify-center">
+              <RadarChart 
+                data={radarSeries.data.map(item => ({
+                  ...item,
+                  color: muscleStats[item.name]?.color || '#64748b'
+                }))}
+                compareData={radarSeries.compareData}
+                legend={compareRange ? { current: describeRange(radarRange), compare: describeRange(compareRange) } : null}
+                size={400}
+              />
+            </div>
+          </div>
+
+          {/* Leveling settings */}
+          <div className="flex flex-wrap items-center justify-center gap-4 text-sm text-slate-600">
+            <label className="flex items-center">
+              <span className="mr-2">Level curve:</span>
+              <select
+                value={xpSettings.curve}
+                onChange={(e) => setXpSettings({ ...xpSettings, curve: e.target.value })}
+                className="bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+              >
+                {XP_CURVES.map(curve => (
+                  <option key={curve.id} value={curve.id}>{curve.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center">
+              <input
+                type="checkbox"
+                checked={xpSettings.decay}
+                onChange={(e) => setXpSettings({ ...xpSettings, decay: e.target.checked })}
+                className="mr-2 accent-orange-500"
+              />
+              Lose XP after {DECAY_GRACE_DAYS} days untrained
+            </label>
+          </div>
+
+          {/* Gaming-Style Stats Grid */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {strengthParts.map(part => {
+              const stats = muscleStats[part.name] || { sets: 0, level: 1, rank: 'Beginner', color: '#64748b', levelXp: 0, levelSpan: 0, progress: 0 };
+              const strongest = strongestLifts[part.name];
+              return (
+                <div key={part.name} className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+                  <div className="flex items-center justify-between mb-4">
+                    <div className="flex items-center space-x-3">
+                      <div className="w-10 h-10 bg-slate-100 border border-slate-200 rounded-lg flex items-center justify-center text-slate-600">
+                        <MuscleIcon type={part.icon} size={20} />
+                      </div>
+                      <div>
+                        <h4 className="font-semibold text-slate-800">{part.name}</h4>
+                        <p className="text-sm text-slate-500">{stats.sets} total sets</p>
+                      </div>
+                    </div>
+                  
+                    {/* Strength is the best estimated 1RM; the level reflects intensity-weighted volume */}
+                    <div className="text-right min-w-0 ml-2">
+                      {strongest ? (
+                        <div className="mb-1" title={`Best est. 1RM: ${strongest.label}`}>
+                          <div className="text-lg font-bold text-slate-800">{roundRecord(strongest.e1rm.value)}kg</div>
+                          <div className="text-xs text-slate-500 truncate">
+                            e1RM{bodyweight && ` (${formatBodyweightMultiple(strongest.e1rm.value / bodyweight.value)})`} · {strongest.label}
+                          </div>
+                        </div>
+                      ) : (
+                        <div className="text-xs text-slate-400 mb-1">No lifts logged</div>
+                      )}
+                      <div 
+                        className="inline-block text-xs font-medium px-2 py-1 rounded-full"
+                        style={{ 
+                          backgroundColor: `${stats.color}20`,
+                          color: stats.color
+                        }}
+                      >
+                        LV {stats.level} · {stats.rank}
+                      </div>
+                    </div>
+                  </div>
+                
+                  {/* Progress Bar */}
+                  <div className="space-y-2">
+                    <div className="flex justify-between text-xs text-slate-500">
+                      <span>{stats.isMaxLevel ? 'Max level' : `${Math.floor(stats.levelXp)} / ${Math.ceil(stats.levelSpan)} XP to next level`}</span>
+                      <span>{Math.floor(stats.progress)}%</span>
+                    </div>
+                    <div className="w-full bg-slate-200 rounded-full h-2">
+                      <div 
+                        className="h-2 rounded-full transition-all duration-500"
+                        style={{ 
+                          width: `${stats.progress}%`,
+                          backgroundColor: stats.color
+                        }}
+                      ></div>
+                    </div>
+                  </div>
+
+                  <button
+                    onClick={() => setChartBodyPart(part)}
+                    className="mt-4 flex items-center text-sm font-medium text-orange-600 hover:text-orange-700"
+                  >
+                    <LineChartIcon className="w-4 h-4 mr-1" />
+                    View progress
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+
+          <CardioPanel />
+
+          <BalancePanel />
+
+          <PersonalRecordsBoard records={recordBoard} />
+
+          <BodyMetricsPanel records={recordBoard} />
+
+          <ConsistencyPanel onOpenDay={onOpenDay} />
+
+          <TrophyCase achievements={achievements} />
+
+          {/* Recent Activity Summary */}
+          <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+            <h3 className="text-xl font-semibold text-slate-800 mb-6">Recent Activity (Last 7 Days)</h3>
+          
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+              <div className="text-center p-4 bg-blue-50 border border-blue-200 rounded-xl">
+                <div className="text-3xl font-bold text-blue-600 mb-1">{recentActivity.activeDays}</div>
+                <div className="text-sm text-blue-700 font-medium">Active Days</div>
+              </div>
+            
+              <div className="text-center p-4 bg-green-50 border border-green-200 rounded-xl">
+                <div className="text-3xl font-bold text-green-600 mb-1">{recentActivity.totalWorkouts}</div>
+                <div className="text-sm text-green-700 font-medium">Total Workouts</div>
+              </div>
+            
+              <div className="text-center p-4 bg-orange-50 border border-orange-200 rounded-xl">
+                <div className="text-3xl font-bold text-orange-600 mb-1">{recentActivity.totalSets}</div>
+                <div className="text-sm text-orange-700 font-medium">Total Sets</div>
+              </div>
+            </div>
+          </div>
+        </>
+      ) : (
+        <>
+          <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-12 text-center">
+            <div className="w-24 h-24 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-6">
+              <TrendingUp className="w-12 h-12 text-slate-400" />
+            </div>
+            <h3 className="text-xl font-semibold text-slate-800 mb-2">No Data Yet</h3>
+            <p className="text-slate-600 mb-6">Start tracking your workouts to see your strength analysis and progress visualization.</p>
+            <button
+              onClick={onStartTracking}
+              className="bg-orange-500 hover:bg-orange-600 text-white px-6 py-3 rounded-lg font-medium transition-colors"
+            >
+              Start Tracking
+            </button>
+          </div>
+
+          {/* Measurements don't depend on logged workouts */}
+          <BodyMetricsPanel records={recordBoard} />
+        </>
+      )}
+
+      {chartBodyPart && (
+        <ProgressChartModal bodyPart={chartBodyPart} onClose={() => setChartBodyPart(null)} />
+      )}
+    </div>
+  );
+};
+
+export default AnalysisView;
@@ -0,0 +1,249 @@
+import React, { useState, useMemo } from 'react';
+import { Download, Upload, X } from 'lucide-react';
+import { createBackup, downloadFile, backupFilename, parseBackup, previewImport, applyImport } from '../utils/backup';
+import { workoutsToCsv, csvToWorkouts } from '../utils/csv';
+import { fromDateInputValue } from '../utils/dates';
+
+const BackupModal = ({ workouts, customExercises, sessions, templates, programs, volumeTargets, bodyMetrics, exercises, bodyParts, onImport, onImportWorkouts, onClose }) => {
+  const [importFile, setImportFile] = useState(null); // { name, text }
+  const [readError, setReadError] = useState('');
+  const [saveError, setSaveError] = useState('');
+  const [importMode, setImportMode] = useState('merge'); // 'merge' or 'replace'
+  const [csvWeightUnit, setCsvWeightUnit] = useState('kg');
+  const [csvFrom, setCsvFrom] = useState('');
+  const [csvTo, setCsvTo] = useState('');
+  const [csvMuscleGroup, setCsvMuscleGroup] = useState('');
+
+  const isCsvImport = importFile ? /\.csv$/i.test(importFile.name) : false;
+
+  // Re-parsed when the file or the CSV weight unit changes
+  const { importData, importError } = useMemo(() => {
+    if (!importFile) return { importData: null, importError: readError };
+    try {
+      if (isCsvImport) {
+        const result = csvToWorkouts(importFile.text, { bodyParts, exercises, weightUnit: csvWeightUnit });
+        return { importData: result, importError: '' };
+      }
+      return { importData: parseBackup(importFile.text, bodyParts.map(part => part.name)), importError: '' };
+    } catch (error) {
+      return { importData: null, importError: error.message };
+    }
+  }, [importFile, isCsvImport, readError, bodyParts, exercises, csvWeightUnit]);
+
+  const handleExport = () => {
+    const backup = createBackup({ workouts, exercises: customExercises, sessions, templates, programs, volumeTargets, bodyMetrics });
+    downloadFile(JSON.stringify(backup, null, 2), backupFilename('json'), 'application/json');
+  };
+
+  const handleCsvExport = () => {
+    const to = csvTo ? fromDateInputValue(csvTo) : null;
+    if (to) to.setHours(23, 59, 59, 999);
+
+    const csv = workoutsToCsv(workouts, {
+      from: csvFrom ? fromDateInputValue(csvFrom) : null,
+      to,
+      muscleGroup: csvMuscleGroup
+    });
+    downloadFile(csv, backupFilename('csv'), 'text/csv');
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setImportFile(null);
+    setReadError('');
+
+    const reader = new FileReader();
+    reader.onload = () => setImportFile({ name: file.name, text: reader.result });
+    reader.onerror = () => setReadError('Could not read the selected file.');
+    reader.readAsText(file);
+  };
+
+  const preview = importData ? previewImport(workouts, importData.workouts, importMode) : null;
+
+  const handleConfirmImport = async () => {
+    setSaveError('');
+    const importedWorkouts = applyImport(workouts, importData.workouts, importMode);
+    try {
+      // CSV files only carry workouts, so every other kind of record stays as it is
+      if (isCsvImport) {
+        onImportWorkouts(importedWorkouts, preview.added);
+      } else {
+        await onImport({
+          workouts: importedWorkouts,
+          exercises: applyImport(customExercises, importData.exercises, importMode),
+          sessions: applyImport(sessions, importData.sessions, importMode),
+          templates: applyImport(templates, importData.templates, importMode),
+          programs: applyImport(programs, importData.programs, importMode),
+          bodyMetrics: applyImport(bodyMetrics, importData.bodyMetrics, importMode),
+          // Targets are one setting per muscle group: replace takes the backup's, merge keeps ours
+          volumeTargets: importData.volumeTargets && importMode === 'replace' ? importData.volumeTargets : volumeTargets
+        }, preview.added);
+      }
+      onClose();
+    } catch (error) {
+      console.error('Failed to import backup:', error);
+      setSaveError('Could not write the import to device storage. Nothing was changed.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto border border-slate-200 relative">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-slate-400 hover:text-slate-600"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        <h3 className="text-xl font-semibold mb-6 text-center text-slate-800">Backup & Restore</h3>
+
+        <div className="space-y-4 text-sm">
+          {/* Export */}
+          <div className="bg-blue-50 border border-blue-200 rounded-xl p-4">
+            <h4 className="font-semibold text-blue-800 mb-1">Export</h4>
+            <p className="text-blue-700 mb-3">
+              Download all {workouts.length} workout {workouts.length === 1 ? 'record' : 'records'} as a JSON file you can keep somewhere safe.
+            </p>
+            <button
+              onClick={handleExport}
+              className="w-full flex items-center justify-center bg-blue-500 hover:bg-blue-600 text-white py-2 px-4 rounded-lg font-medium transition-colors"
+            >
+              <Download className="w-4 h-4 mr-2" />
+              Download backup
+            </button>
+          </div>
+
+          {/* CSV export */}
+          <div className="bg-slate-50 border border-slate-200 rounded-xl p-4">
+            <h4 className="font-semibold text-slate-800 mb-1">Spreadsheet (CSV)</h4>
+            <p className="text-slate-600 mb-3">One row per set. Leave filters empty to export everything.</p>
+
+            <div className="grid grid-cols-2 gap-2 mb-2">
+              <input
+                type="date"
+                value={csvFrom}
+                onChange={(e) => setCsvFrom(e.target.value)}
+                className="bg-white border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700"
+                title="From date"
+              />
+              <input
+                type="date"
+                value={csvTo}
+                onChange={(e) => setCsvTo(e.target.value)}
+                className="bg-white border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700"
+                title="To date"
+              />
+            </div>
+            <select
+              value={csvMuscleGroup}
+              onChange={(e) => setCsvMuscleGroup(e.target.value)}
+              className="w-full bg-white border border-slate-200 rounded-lg px-2 py-1.5 text-slate-700 mb-3"
+            >
+              <option value="">All muscle groups</option>
+              {bodyParts.map(part => (
+                <option key={part.name} value={part.name}>{part.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleCsvExport}
+              className="w-full flex items-center justify-center bg-white border border-slate-300 hover:bg-slate-100 text-slate-700 py-2 px-4 rounded-lg font-medium transition-colors"
+            >
+              <Download className="w-4 h-4 mr-2" />
+              Download CSV
+            </button>
+          </div>
+
+          {/* Import */}
+          <div className="bg-slate-50 border border-slate-200 rounded-xl p-4">
+            <h4 className="font-semibold text-slate-800 mb-1">Import</h4>
+            <p className="text-slate-600 mb-3">Restore a GymTracker backup, or bring in a CSV export from GymTracker, Strong or Hevy.</p>
+
+            <label className="w-full flex items-center justify-center bg-white border border-slate-300 hover:bg-slate-100 text-slate-700 py-2 px-4 rounded-lg font-medium transition-colors cursor-pointer">
+              <Upload className="w-4 h-4 mr-2" />
+              {importFile ? importFile.name : 'Choose file'}
+              <input type="file" accept="application/json,.json,text/csv,.csv" onChange={handleFileChange} className="hidden" />
+            </label>
+
+            {importError && (
+              <p className="mt-3 text-red-600">{importError}</p>
+            )}
+
+            {importData && (
+              <div className="mt-4 space-y-3">
+                {isCsvImport && (
+                  <div className="space-y-2">
+                    <div className="flex items-center justify-between text-slate-600">
+                      <span>Detected {importData.layout} layout</span>
+                      <select
+                        value={csvWeightUnit}
+                        onChange={(e) => setCsvWeightUnit(e.target.value)}
+                        className="bg-white border border-slate-200 rounded-md px-2 py-1 text-slate-700"
+                        title="Unit of the weight column"
+                      >
+                        <option value="kg">Weights in kg</option>
+                        <option value="lb">Weights in lb</option>
+                      </select>
+                    </div>
+                    {importData.skipped > 0 && (
+                      <p className="text-amber-700">
+                        {importData.skipped} {importData.skipped === 1 ? 'row' : 'rows'} could not be mapped
+                        {importData.unmapped.length > 0 && ` (${importData.unmapped.slice(0, 3).join(', ')}${importData.unmapped.length > 3 ? ', …' : ''})`}
+                        {' '}and will be skipped.
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                <div className="grid grid-cols-2 gap-2">
+                  {['merge', 'replace'].map(mode => (
+                    <button
+                      key={mode}
+                      onClick={() => setImportMode(mode)}
+                      className={`py-2 rounded-lg font-medium border transition-colors ${
+                        importMode === mode
+                          ? 'bg-white text-slate-800 border-slate-300 shadow-sm'
+                          : 'text-slate-500 border-transparent hover:text-slate-700'
+                      }`}
+                    >
+                      {mode === 'merge' ? 'Merge' : 'Replace'}
+                    </button>
+                  ))}
+                </div>
+
+                <div className="bg-white border border-slate-200 rounded-lg p-3 text-slate-600 space-y-1">
+                  <div><span className="font-medium text-slate-800">{preview.added}</span> records will be added</div>
+                  {importMode === 'merge' && (
+                    <div><span className="font-medium text-slate-800">{preview.skipped}</span> duplicates will be skipped</div>
+                  )}
+                  {importMode === 'replace' && (
+                    <div><span className="font-medium text-red-600">{preview.removed}</span> existing records will be removed</div>
+                  )}
+                  <div><span className="font-medium text-slate-800">{preview.days}</span> {preview.days === 1 ? 'day' : 'days'} will change</div>
+                </div>
+
+                <button
+                  onClick={handleConfirmImport}
+                  disabled={importMode === 'merge' && preview.added === 0}
+                  className={`w-full py-2 px-4 rounded-lg font-medium text-white transition-colors disabled:opacity-50 ${
+                    importMode === 'replace' ? 'bg-red-500 hover:bg-red-600' : 'bg-slate-800 hover:bg-slate-900'
+                  }`}
+                >
+                  {importMode === 'replace' ? 'Replace all data' : 'Merge into history'}
+                </button>
+
+                {saveError && (
+                  <p className="text-red-600">{saveError}</p>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BackupModal;
@@ -0,0 +1,124 @@
+import React, { useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import MuscleIcon from './MuscleIcon';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { getDaysSinceTrained, getBalanceRatios, getBalanceWarnings } from '../selectors/balanceSelectors';
+import { NEGLECT_DAY_OPTIONS, MAX_RATIO_OPTIONS, BALANCE_WINDOW_OPTIONS } from '../utils/balance';
+
+// Neglect and push/pull, upper/lower, anterior/posterior balance, with the
+// thresholds behind the warnings
+const BalancePanel = () => {
+  const { workouts, bodyParts, today, balanceSettings, setBalanceSettings } = useWorkoutStore();
+
+  const daysSinceTrained = useMemo(() => getDaysSinceTrained(workouts, bodyParts, today), [workouts, bodyParts, today]);
+  const ratios = useMemo(
+    () => getBalanceRatios(workouts, bodyParts, today, balanceSettings),
+    [workouts, bodyParts, today, balanceSettings]
+  );
+  const warnings = useMemo(
+    () => getBalanceWarnings(workouts, bodyParts, today, balanceSettings),
+    [workouts, bodyParts, today, balanceSettings]
+  );
+
+  const fieldClass = "bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300";
+  const updateSetting = (field, value) => setBalanceSettings({ ...balanceSettings, [field]: Number(value) });
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <h3 className="text-xl font-semibold text-slate-800 mb-6">Balance</h3>
+
+      {warnings.length > 0 ? (
+        <ul className="mb-6 space-y-2">
+          {warnings.map(warning => (
+            <li key={warning.id} className="flex items-start text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-lg px-3 py-2">
+              <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0 text-amber-600" />
+              {warning.message}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="mb-6 text-sm text-emerald-700">No neglected groups or imbalances right now.</p>
+      )}
+
+      {/* Ratios */}
+      <div className="space-y-4 mb-6">
+        {ratios.map(ratio => {
+          const total = ratio.firstSets + ratio.secondSets;
+          return (
+            <div key={ratio.id}>
+              <div className="flex justify-between text-sm mb-1">
+                <span className="text-slate-700 font-medium">{ratio.first.label} {ratio.firstSets}</span>
+                <span className={ratio.isImbalanced ? 'font-semibold text-amber-700' : 'text-slate-500'}>{ratio.label}</span>
+                <span className="text-slate-700 font-medium">{ratio.secondSets} {ratio.second.label}</span>
+              </div>
+              <div className="flex w-full h-2 rounded-full overflow-hidden bg-slate-200">
+                {total > 0 && (
+                  <>
+                    <div className="h-2 bg-orange-400" style={{ width: `${(ratio.firstSets / total) * 100}%` }}></div>
+                    <div className="h-2 bg-blue-400" style={{ width: `${(ratio.secondSets / total) * 100}%` }}></div>
+                  </>
+                )}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {/* Days since each group was trained */}
+      <div className="grid grid-cols-3 md:grid-cols-5 gap-3 mb-6">
+        {daysSinceTrained.map(({ part, days }) => {
+          const isNeglected = days !== null && days >= balanceSettings.neglectDays;
+          return (
+            <div
+              key={part.name}
+              className={`p-3 rounded-lg border text-center ${isNeglected ? 'bg-amber-50 border-amber-200' : 'bg-slate-50 border-slate-200'}`}
+            >
+              <div className="flex items-center justify-center text-slate-600 mb-1">
+                <MuscleIcon type={part.icon} size={16} />
+                <span className="ml-1 text-xs font-medium">{part.name}</span>
+              </div>
+              <div className={`text-sm font-semibold ${isNeglected ? 'text-amber-700' : 'text-slate-800'}`}>
+                {days === null ? 'Never' : days === 0 ? 'Today' : `${days}d ago`}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+        <span>Warn after</span>
+        <select
+          value={balanceSettings.neglectDays}
+          onChange={(e) => updateSetting('neglectDays', e.target.value)}
+          className={fieldClass}
+        >
+          {NEGLECT_DAY_OPTIONS.map(days => (
+            <option key={days} value={days}>{days}</option>
+          ))}
+        </select>
+        <span>days untrained or a ratio above</span>
+        <select
+          value={balanceSettings.maxRatio}
+          onChange={(e) => updateSetting('maxRatio', e.target.value)}
+          className={fieldClass}
+        >
+          {MAX_RATIO_OPTIONS.map(ratio => (
+            <option key={ratio} value={ratio}>{ratio}:1</option>
+          ))}
+        </select>
+        <span>over</span>
+        <select
+          value={balanceSettings.windowDays}
+          onChange={(e) => updateSetting('windowDays', e.target.value)}
+          className={fieldClass}
+        >
+          {BALANCE_WINDOW_OPTIONS.map(option => (
+            <option key={option.days} value={option.days}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default BalancePanel;
@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { getBodyEntryOnDay } from '../selectors/bodyMetricSelectors';
+import { BODY_METRICS, createBodyEntry, hasBodyMeasurements } from '../utils/bodyMetrics';
+import { toDateInputValue, fromDateInputValue } from '../utils/dates';
+import { parseSetValue } from '../utils/workoutRecords';
+
+// Field values as strings so a field can be cleared while typing
+const toFields = (entry) => Object.fromEntries(BODY_METRICS.map(metric => [
+  metric.id,
+  entry && entry[metric.id] !== null ? String(entry[metric.id]) : ''
+]));
+
+// Modal for logging measurements on any day. Picking a day that already has
+// an entry loads it for editing.
+const BodyMetricsEditor = ({ onClose }) => {
+  const { bodyMetrics, today, saveBodyEntry, deleteBodyEntry } = useWorkoutStore();
+  const [dateValue, setDateValue] = useState(() => toDateInputValue(today));
+  const [fields, setFields] = useState(() => toFields(getBodyEntryOnDay(bodyMetrics, today)));
+
+  const date = fromDateInputValue(dateValue);
+  const existing = date ? getBodyEntryOnDay(bodyMetrics, date) : null;
+
+  const handleDateChange = (value) => {
+    setDateValue(value);
+    const day = fromDateInputValue(value);
+    setFields(toFields(day ? getBodyEntryOnDay(bodyMetrics, day) : null));
+  };
+
+  const handleSave = async () => {
+    if (!date) return;
+    const values = {};
+    BODY_METRICS.forEach(metric => {
+      const value = parseSetValue(fields[metric.id]);
+      values[metric.id] = value !== null && value > 0 && value <= metric.max ? value : null;
+    });
+
+    if (!hasBodyMeasurements(values)) {
+      if (existing) await deleteBodyEntry(existing.id);
+      onClose();
+      return;
+    }
+
+    const entry = existing ? { ...existing, ...values } : createBodyEntry(date, values);
+    if (await saveBodyEntry(entry)) onClose();
+  };
+
+  const handleDelete = async () => {
+    await deleteBodyEntry(existing.id);
+    onClose();
+  };
+
+  const fieldClass = "w-24 bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-sm text-slate-700 text-right focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300";
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-sm w-full max-h-[90vh] overflow-y-auto border border-slate-200 relative">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-slate-400 hover:text-slate-600"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        <h3 className="text-xl font-semibold mb-2 text-center text-slate-800">Log Measurements</h3>
+        <p className="text-sm text-slate-500 text-center mb-6">Fill in whatever you measured; leave the rest blank</p>
+
+        <div className="space-y-3 text-sm">
+          <input
+            type="date"
+            value={dateValue}
+            max={toDateInputValue(today)}
+            onChange={(e) => handleDateChange(e.target.value)}
+            className="w-full bg-slate-50 border border-slate-200 rounded-lg px-3 py-2 text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+          />
+
+          {BODY_METRICS.map(metric => (
+            <label key={metric.id} className="flex items-center justify-between">
+              <span className="text-slate-700 font-medium">{metric.label}</span>
+              <span className="flex items-center">
+                <input
+                  type="number"
+                  inputMode="decimal"
+                  min="0"
+                  max={metric.max}
+                  step="0.1"
+                  value={fields[metric.id]}
+                  onChange={(e) => setFields(prev => ({ ...prev, [metric.id]: e.target.value }))}
+                  className={fieldClass}
+                />
+                <span className="w-8 ml-2 text-slate-500">{metric.unit}</span>
+              </span>
+            </label>
+          ))}
+
+          <div className="grid grid-cols-2 gap-3 pt-3">
+            {existing ? (
+              <button
+                onClick={handleDelete}
+                className="py-3 px-4 bg-red-50 hover:bg-red-100 text-red-600 rounded-lg font-medium transition-colors"
+              >
+                Delete Entry
+              </button>
+            ) : (
+              <button
+                onClick={onClose}
+                className="py-3 px-4 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-lg font-medium transition-colors"
+              >
+                Cancel
+              </button>
+            )}
+            <button
+              onClick={handleSave}
+              disabled={!date}
+              className="py-3 px-4 bg-orange-500 hover:bg-orange-600 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BodyMetricsEditor;
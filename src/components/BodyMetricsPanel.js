@@ -0,0 +1,111 @@
+import React, { useState, useMemo } from 'react';
+import { Scale } from 'lucide-react';
+import LineChart from './LineChart';
+import BodyMetricsEditor from './BodyMetricsEditor';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { CHART_RANGES } from '../selectors/chartSelectors';
+import { getBodyMetricSeries, getLatestBodyMetric, getRelativeStrength } from '../selectors/bodyMetricSelectors';
+import { BODY_METRICS, MOVING_AVERAGE_DAYS, formatBodyweightMultiple } from '../utils/bodyMetrics';
+import { roundRecord } from '../utils/records';
+
+// Lifts listed under relative strength
+const MAX_RELATIVE_LIFTS = 5;
+
+// Bodyweight, body fat and measurements over time, plus the strongest lifts
+// relative to bodyweight. `records` come from getRecordBoard.
+const BodyMetricsPanel = ({ records }) => {
+  const { bodyMetrics, today } = useWorkoutStore();
+  const [metricId, setMetricId] = useState('weight');
+  const [rangeId, setRangeId] = useState('3m');
+  const [isEditing, setIsEditing] = useState(false);
+
+  const metric = BODY_METRICS.find(m => m.id === metricId);
+  const series = useMemo(
+    () => getBodyMetricSeries(bodyMetrics, metricId, { rangeId, today }),
+    [bodyMetrics, metricId, rangeId, today]
+  );
+  const relativeStrength = useMemo(() => getRelativeStrength(records, bodyMetrics, today), [records, bodyMetrics, today]);
+
+  const buttonClass = (isActive) => `px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+    isActive ? 'bg-orange-500 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+  }`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-6">
+        <h3 className="text-xl font-semibold text-slate-800">Body Metrics</h3>
+        <button
+          onClick={() => setIsEditing(true)}
+          className="flex items-center bg-orange-500 hover:bg-orange-600 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors"
+        >
+          <Scale className="w-4 h-4 mr-1" />
+          Log measurements
+        </button>
+      </div>
+
+      {/* Latest values, also the metric picker */}
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 mb-4">
+        {BODY_METRICS.map(m => {
+          const latest = getLatestBodyMetric(bodyMetrics, m.id, today);
+          return (
+            <button
+              key={m.id}
+              onClick={() => setMetricId(m.id)}
+              className={`p-3 rounded-lg border text-center transition-colors ${
+                m.id === metricId ? 'bg-orange-50 border-orange-300' : 'bg-slate-50 border-slate-200 hover:bg-slate-100'
+              }`}
+            >
+              <div className="text-lg font-bold text-slate-800">{latest ? `${latest.value}${m.unit}` : '-'}</div>
+              <div className="text-xs text-slate-500">{m.label}</div>
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <div className="flex gap-1">
+          {CHART_RANGES.map(range => (
+            <button key={range.id} onClick={() => setRangeId(range.id)} className={buttonClass(range.id === rangeId)}>
+              {range.label}
+            </button>
+          ))}
+        </div>
+        <div className="flex items-center text-xs text-slate-500">
+          <span className="w-4 h-0.5 bg-slate-700 mr-1"></span>
+          {MOVING_AVERAGE_DAYS}-day average
+        </div>
+      </div>
+
+      <LineChart
+        data={series}
+        color="#0ea5e9"
+        formatValue={(value) => `${value}${metric.unit}`}
+        showTrend={false}
+        showAverage
+        zeroBased={false}
+      />
+
+      {/* Relative strength */}
+      <h4 className="font-semibold text-slate-800 mt-6 mb-3">Relative Strength</h4>
+      {relativeStrength.length > 0 ? (
+        <ul className="divide-y divide-slate-100 text-sm">
+          {relativeStrength.slice(0, MAX_RELATIVE_LIFTS).map(lift => (
+            <li key={lift.key} className="flex items-center justify-between py-2">
+              <span className="text-slate-700">{lift.label}</span>
+              <span>
+                <span className="font-semibold text-slate-800">{formatBodyweightMultiple(lift.multiple)}</span>
+                <span className="text-xs text-slate-400 ml-2">{roundRecord(lift.e1rm)}kg e1RM</span>
+              </span>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-slate-500">Log your bodyweight and some weighted sets to see lifts as a multiple of bodyweight.</p>
+      )}
+
+      {isEditing && <BodyMetricsEditor onClose={() => setIsEditing(false)} />}
+    </div>
+  );
+};
+
+export default BodyMetricsPanel;
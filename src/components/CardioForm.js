@@ -0,0 +1,78 @@
+import React from 'react';
+import { CARDIO_ACTIVITIES, HEART_RATE_ZONES, getPace, formatPace } from '../utils/cardio';
+
+// Inputs for a cardio entry: activity, duration, distance and average heart
+// rate, with optional minutes per heart-rate zone. Pace is worked out from
+// duration and distance.
+const CardioForm = ({ cardio, onUpdate, onUpdateZone }) => {
+  const inputClass = "w-full bg-white border border-slate-200 rounded-md px-2 py-1.5 text-sm text-slate-700 text-center focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300";
+  const pace = getPace(cardio);
+
+  const fields = [
+    { id: 'durationMinutes', label: 'Time (min)', step: '1' },
+    { id: 'distanceKm', label: 'Distance (km)', step: '0.1' },
+    { id: 'avgHeartRate', label: 'Avg HR (bpm)', step: '1' }
+  ];
+
+  return (
+    <div className="mt-3 bg-white border border-slate-200 rounded-lg p-3 space-y-3">
+      <div className="flex items-center justify-between gap-2 text-sm">
+        <select
+          value={cardio.activity}
+          onChange={(e) => onUpdate('activity', e.target.value)}
+          aria-label="Activity"
+          className="bg-white border border-slate-200 rounded-md px-2 py-1.5 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+        >
+          {CARDIO_ACTIVITIES.map(activity => (
+            <option key={activity.id} value={activity.id}>{activity.label}</option>
+          ))}
+        </select>
+        <span className="text-slate-500">
+          Pace <span className="font-medium text-slate-700">{pace ? formatPace(pace) : '–'}</span>
+        </span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {fields.map(field => (
+          <label key={field.id} className="text-xs font-medium text-slate-500 text-center">
+            {field.label}
+            <input
+              type="number"
+              inputMode="decimal"
+              min="0"
+              step={field.step}
+              value={cardio[field.id] ?? ''}
+              onChange={(e) => onUpdate(field.id, e.target.value)}
+              className={`${inputClass} mt-1`}
+              placeholder="–"
+            />
+          </label>
+        ))}
+      </div>
+
+      {/* Time in zone is optional, e.g. copied from a watch */}
+      <div>
+        <div className="text-xs font-medium text-slate-500 mb-1">Minutes per heart-rate zone (optional)</div>
+        <div className="grid grid-cols-5 gap-2">
+          {HEART_RATE_ZONES.map((zone, index) => (
+            <label key={zone.label} className="text-xs text-center" style={{ color: zone.color }} title={zone.name}>
+              {zone.label}
+              <input
+                type="number"
+                inputMode="numeric"
+                min="0"
+                step="1"
+                value={cardio.zoneMinutes?.[index] ?? ''}
+                onChange={(e) => onUpdateZone(index, e.target.value)}
+                className={`${inputClass} mt-1`}
+                placeholder="–"
+              />
+            </label>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CardioForm;
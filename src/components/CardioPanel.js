@@ -0,0 +1,93 @@
+import React, { useState, useMemo } from 'react';
+import LineChart from './LineChart';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { CHART_RANGES, getRangeStart } from '../selectors/chartSelectors';
+import { getCardioSummary, getWeeklyCardioSeries } from '../selectors/cardioSelectors';
+import { HEART_RATE_ZONES, isCardioWorkout, formatPace, formatDistance, roundMinutes } from '../utils/cardio';
+
+// Cardio totals, time in heart-rate zones and weekly minutes. Kept apart
+// from the strength charts since cardio is measured in time, not sets.
+const CardioPanel = () => {
+  const { workouts, today } = useWorkoutStore();
+  const [rangeId, setRangeId] = useState('3m');
+
+  const summary = useMemo(() => {
+    const start = getRangeStart(rangeId, today, workouts.filter(isCardioWorkout));
+    const end = new Date(today);
+    end.setHours(23, 59, 59, 999);
+    return getCardioSummary(workouts, start, end);
+  }, [workouts, rangeId, today]);
+  const series = useMemo(() => getWeeklyCardioSeries(workouts, { rangeId, today }), [workouts, rangeId, today]);
+
+  const zoneTotal = summary.zoneMinutes ? summary.zoneMinutes.reduce((sum, minutes) => sum + minutes, 0) : 0;
+
+  const tiles = [
+    { label: 'Minutes', value: roundMinutes(summary.minutes) },
+    { label: 'Distance', value: summary.distanceKm > 0 ? formatDistance(summary.distanceKm) : '-' },
+    { label: 'Sessions', value: summary.count },
+    { label: 'Avg Pace', value: summary.pace ? formatPace(summary.pace) : '-' }
+  ];
+
+  const buttonClass = (isActive) => `px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+    isActive ? 'bg-orange-500 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+  }`;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-6">
+        <h3 className="text-xl font-semibold text-slate-800">Cardio</h3>
+        <div className="flex gap-1">
+          {CHART_RANGES.map(range => (
+            <button key={range.id} onClick={() => setRangeId(range.id)} className={buttonClass(range.id === rangeId)}>
+              {range.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {summary.count > 0 ? (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            {tiles.map(tile => (
+              <div key={tile.label} className="p-3 rounded-lg border bg-slate-50 border-slate-200 text-center">
+                <div className="text-lg font-bold text-slate-800">{tile.value}</div>
+                <div className="text-xs text-slate-500">{tile.label}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Time in zone, only from entries that logged it */}
+          {zoneTotal > 0 && (
+            <div className="mb-6">
+              <h4 className="font-semibold text-slate-800 mb-2">Time in Zone</h4>
+              <div className="flex h-3 rounded-full overflow-hidden bg-slate-200">
+                {HEART_RATE_ZONES.map((zone, index) => (
+                  <div
+                    key={zone.label}
+                    style={{ width: `${(summary.zoneMinutes[index] / zoneTotal) * 100}%`, backgroundColor: zone.color }}
+                    title={`${zone.label} ${zone.name}: ${roundMinutes(summary.zoneMinutes[index])} min`}
+                  ></div>
+                ))}
+              </div>
+              <div className="flex flex-wrap gap-3 mt-2 text-xs text-slate-500">
+                {HEART_RATE_ZONES.map((zone, index) => (
+                  <span key={zone.label} className="flex items-center">
+                    <span className="w-3 h-3 rounded-full mr-1" style={{ backgroundColor: zone.color }}></span>
+                    {zone.label} {zone.name} · {roundMinutes(summary.zoneMinutes[index])} min
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <h4 className="font-semibold text-slate-800 mb-2">Minutes per Week</h4>
+          <LineChart data={series} color="#0ea5e9" formatValue={(value) => `${roundMinutes(value)}m`} />
+        </>
+      ) : (
+        <p className="text-sm text-slate-500">Log a Cardio entry to see your time, distance and pace here.</p>
+      )}
+    </div>
+  );
+};
+
+export default CardioPanel;
@@ -0,0 +1,82 @@
+import React, { useMemo } from 'react';
+import { Flame } from 'lucide-react';
+import ActivityHeatmap from './ActivityHeatmap';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { getDailySetCounts, getStreaks } from '../selectors/streakSelectors';
+import { STREAK_MODES, MAX_REST_DAYS, formatStreak } from '../utils/streaks';
+
+// Streaks against the user's consistency goal and the year heatmap
+const ConsistencyPanel = ({ onOpenDay }) => {
+  const { workouts, today, streakGoal, setStreakGoal } = useWorkoutStore();
+
+  const dailySets = useMemo(() => getDailySetCounts(workouts), [workouts]);
+  const streaks = useMemo(() => getStreaks(workouts, streakGoal, today), [workouts, streakGoal, today]);
+
+  const fieldClass = "bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <h3 className="text-xl font-semibold text-slate-800 mb-6">Consistency</h3>
+
+      <div className="grid grid-cols-2 gap-4 mb-4">
+        <div className="text-center p-4 bg-orange-50 border border-orange-200 rounded-xl">
+          <div className="flex items-center justify-center text-3xl font-bold text-orange-600 mb-1">
+            <Flame className="w-6 h-6 mr-1" />
+            {formatStreak(streaks.current, streakGoal.mode)}
+          </div>
+          <div className="text-sm text-orange-700 font-medium">Current Streak</div>
+        </div>
+        <div className="text-center p-4 bg-slate-50 border border-slate-200 rounded-xl">
+          <div className="text-3xl font-bold text-slate-700 mb-1">{formatStreak(streaks.longest, streakGoal.mode)}</div>
+          <div className="text-sm text-slate-600 font-medium">Longest Streak</div>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2 mb-6 text-sm text-slate-600">
+        <span>Goal:</span>
+        <select
+          value={streakGoal.mode}
+          onChange={(e) => setStreakGoal({ ...streakGoal, mode: e.target.value })}
+          className={fieldClass}
+        >
+          {STREAK_MODES.map(mode => (
+            <option key={mode.id} value={mode.id}>{mode.label}</option>
+          ))}
+        </select>
+        {streakGoal.mode === 'weekly' ? (
+          <>
+            <span>train at least</span>
+            <select
+              value={streakGoal.daysPerWeek}
+              onChange={(e) => setStreakGoal({ ...streakGoal, daysPerWeek: Number(e.target.value) })}
+              className={fieldClass}
+            >
+              {[1, 2, 3, 4, 5, 6, 7].map(days => (
+                <option key={days} value={days}>{days}</option>
+              ))}
+            </select>
+            <span>days per week</span>
+          </>
+        ) : (
+          <>
+            <span>allow up to</span>
+            <select
+              value={streakGoal.restDays}
+              onChange={(e) => setStreakGoal({ ...streakGoal, restDays: Number(e.target.value) })}
+              className={fieldClass}
+            >
+              {Array.from({ length: MAX_REST_DAYS + 1 }, (_, days) => (
+                <option key={days} value={days}>{days}</option>
+              ))}
+            </select>
+            <span>rest days in a row</span>
+          </>
+        )}
+      </div>
+
+      <ActivityHeatmap dailySets={dailySets} today={today} onOpenDay={onOpenDay} />
+    </div>
+  );
+};
+
+export default ConsistencyPanel;
@@ -0,0 +1,235 @@
+import React, { useState, useMemo } from 'react';
+import { ChevronLeft, Search, Plus, RotateCcw } from 'lucide-react';
+
+// `getLastSession(part)` and `onRepeatLast(part)` are optional; when given, a
+// drilled-down group offers to repeat its last session
+const ExercisePicker = ({ bodyParts, exercises, onSelect, onCreateExercise, renderIcon, getLastSession, onRepeatLast }) => {
+  const [selectedGroup, setSelectedGroup] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showCustomForm, setShowCustomForm] = useState(false);
+  const [customName, setCustomName] = useState('');
+  const [customSecondary, setCustomSecondary] = useState([]);
+
+  const query = searchTerm.trim().toLowerCase();
+
+  // Searching spans every group; otherwise only the drilled-down group is listed
+  const visibleExercises = useMemo(() => {
+    if (query) {
+      return exercises.filter(exercise => exercise.name.toLowerCase().includes(query));
+    }
+    if (selectedGroup) {
+      return exercises.filter(exercise => exercise.primary === selectedGroup.name);
+    }
+    return [];
+  }, [exercises, query, selectedGroup]);
+
+  const findPart = (name) => bodyParts.find(part => part.name === name);
+
+  const handleSelect = (exercise) => {
+    const part = findPart(exercise.primary);
+    if (!part) return;
+    onSelect(part, exercise);
+    setSearchTerm('');
+  };
+
+  const resetCustomForm = () => {
+    setShowCustomForm(false);
+    setCustomName('');
+    setCustomSecondary([]);
+  };
+
+  const handleCreateCustom = async () => {
+    const name = customName.trim();
+    if (!name || !selectedGroup) return;
+
+    const exercise = await onCreateExercise({
+      name,
+      primary: selectedGroup.name,
+      secondary: customSecondary
+    });
+    resetCustomForm();
+    if (exercise) {
+      onSelect(selectedGroup, exercise);
+    }
+  };
+
+  const toggleSecondary = (name) => {
+    setCustomSecondary(prev =>
+      prev.includes(name) ? prev.filter(n => n !== name) : [...prev, name]
+    );
+  };
+
+  const exerciseRow = (exercise) => {
+    const part = findPart(exercise.primary);
+    return (
+      <button
+        key={exercise.id}
+        onClick={() => handleSelect(exercise)}
+        className="w-full flex items-center justify-between p-3 bg-slate-50 border border-slate-200 rounded-lg hover:bg-orange-50 hover:border-orange-200 transition-all duration-200 text-left"
+      >
+        <div className="flex items-center space-x-3 min-w-0">
+          <div className="w-8 h-8 bg-white border border-slate-200 rounded-lg flex items-center justify-center text-slate-600 flex-shrink-0">
+            {part && renderIcon(part.icon, 16)}
+          </div>
+          <div className="min-w-0">
+            <div className="text-sm font-medium text-slate-800 truncate">
+              {exercise.name}
+              {exercise.custom && (
+                <span className="ml-2 text-xs font-normal text-orange-600 bg-orange-100 px-1.5 py-0.5 rounded-full">Custom</span>
+              )}
+            </div>
+            <div className="text-xs text-slate-500 truncate">
+              {exercise.primary}
+              {exercise.secondary.length > 0 && ` · ${exercise.secondary.join(', ')}`}
+            </div>
+          </div>
+        </div>
+        <Plus className="w-4 h-4 text-slate-400 flex-shrink-0 ml-2" />
+      </button>
+    );
+  };
+
+  return (
+    <div>
+      {/* Search */}
+      <div className="relative mb-4">
+        <Search className="w-4 h-4 text-slate-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="text"
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+          placeholder="Search exercises..."
+          className="w-full pl-9 pr-3 py-2 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+        />
+      </div>
+
+      {query ? (
+        <div className="space-y-2">
+          {visibleExercises.length > 0 ? (
+            visibleExercises.map(exerciseRow)
+          ) : (
+            <p className="text-sm text-slate-500 text-center py-4">No exercises match "{searchTerm.trim()}"</p>
+          )}
+        </div>
+      ) : selectedGroup ? (
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <button
+              onClick={() => {
+                setSelectedGroup(null);
+                resetCustomForm();
+              }}
+              className="flex items-center text-sm font-medium text-slate-600 hover:text-slate-800"
+            >
+              <ChevronLeft className="w-4 h-4 mr-1" />
+              All groups
+            </button>
+            <span className="text-sm font-semibold text-slate-800">{selectedGroup.name}</span>
+          </div>
+
+          {onRepeatLast && (() => {
+            const lastSession = getLastSession(selectedGroup);
+            if (lastSession.length === 0) return null;
+            return (
+              <button
+                onClick={() => onRepeatLast(selectedGroup)}
+                className="w-full flex items-center justify-center mb-3 p-3 text-sm font-medium text-orange-700 bg-orange-50 border border-orange-200 rounded-lg hover:bg-orange-100 transition-colors"
+              >
+                <RotateCcw className="w-4 h-4 mr-2" />
+                Repeat last {selectedGroup.name} session
+                <span className="ml-1 font-normal text-orange-600">
+                  ({new Date(lastSession[0].date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} · {lastSession.length} {lastSession.length === 1 ? 'exercise' : 'exercises'})
+                </span>
+              </button>
+            );
+          })()}
+
+          <div className="space-y-2">
+            {visibleExercises.map(exerciseRow)}
+
+            {/* Generic entry keeps the quick group-only logging available */}
+            <button
+              onClick={() => onSelect(selectedGroup, null)}
+              className="w-full p-3 text-sm text-slate-600 border border-dashed border-slate-300 rounded-lg hover:bg-slate-50 transition-colors"
+            >
+              Log general {selectedGroup.name} work
+            </button>
+          </div>
+
+          {/* Custom exercise form */}
+          {showCustomForm ? (
+            <div className="mt-4 p-4 bg-slate-50 border border-slate-200 rounded-lg space-y-3">
+              <input
+                type="text"
+                value={customName}
+                onChange={(e) => setCustomName(e.target.value)}
+                placeholder="Exercise name"
+                className="w-full px-3 py-2 bg-white border border-slate-200 rounded-md text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+              />
+              <div>
+                <div className="text-xs font-medium text-slate-500 mb-2">Also works (secondary)</div>
+                <div className="flex flex-wrap gap-2">
+                  {bodyParts.filter(part => part.name !== selectedGroup.name).map(part => (
+                    <button
+                      key={part.name}
+                      onClick={() => toggleSecondary(part.name)}
+                      className={`px-2 py-1 rounded-full text-xs font-medium border transition-colors ${
+                        customSecondary.includes(part.name)
+                          ? 'bg-orange-100 border-orange-200 text-orange-700'
+                          : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-100'
+                      }`}
+                    >
+                      {part.name}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={resetCustomForm}
+                  className="py-2 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-md text-sm font-medium transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleCreateCustom}
+                  disabled={!customName.trim()}
+                  className="py-2 bg-orange-500 hover:bg-orange-600 disabled:opacity-50 text-white rounded-md text-sm font-medium transition-colors"
+                >
+                  Save & Add
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => setShowCustomForm(true)}
+              className="mt-4 w-full flex items-center justify-center py-2 text-sm font-medium text-orange-600 hover:text-orange-700"
+            >
+              <Plus className="w-4 h-4 mr-1" />
+              Create custom {selectedGroup.name} exercise
+            </button>
+          )}
+        </div>
+      ) : (
+        <div className="grid grid-cols-3 gap-3">
+          {bodyParts.map(part => (
+            <button
+              key={part.name}
+              onClick={() => setSelectedGroup(part)}
+              className="group flex flex-col items-center justify-center p-4 bg-slate-50 border border-slate-200 rounded-lg hover:bg-orange-50 hover:border-orange-200 transition-all duration-200 hover:shadow-sm"
+            >
+              <div className="w-12 h-12 bg-white border border-slate-200 group-hover:border-orange-200 group-hover:bg-orange-100 rounded-lg flex items-center justify-center mb-3 transition-all duration-200">
+                <div className="text-slate-600 group-hover:text-orange-600">
+                  {renderIcon(part.icon, 24)}
+                </div>
+              </div>
+              <span className="text-sm font-medium text-slate-700 group-hover:text-slate-800">{part.name}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExercisePicker;
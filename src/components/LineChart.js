@@ -0,0 +1,160 @@
+import React, { useState, useId } from 'react';
+import { getLinearTrend, getNiceMax, getNearestIndex } from '../utils/charts';
+
+const WIDTH = 600;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+const Y_TICKS = 4;
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Line/area chart of a metric over time with a dashed trend line. Hover, or
+// tap on touch screens, shows the nearest point. `data` is [{ date, value }]
+// oldest first; the SVG scales to the width of its container. With
+// `showAverage`, points also carry an `average` drawn as a second line.
+// Turning `zeroBased` off fits the axis to the data, e.g. for bodyweight.
+const LineChart = ({ data, height = 240, color = '#f97316', formatValue = (value) => value, showTrend = true, showAverage = false, zeroBased = true }) => {
+  const [activeIndex, setActiveIndex] = useState(null);
+  const gradientId = `line-gradient-${useId().replace(/:/g, '')}`;
+
+  if (data.length === 0) {
+    return (
+      <div className="flex items-center justify-center text-sm text-slate-400 bg-slate-50 rounded-lg" style={{ height }}>
+        No data in this range
+      </div>
+    );
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const baseline = PADDING.top + plotHeight;
+
+  const minTime = data[0].date.getTime();
+  const maxTime = data[data.length - 1].date.getTime();
+  const values = data.flatMap(point => (showAverage ? [point.value, point.average] : [point.value]));
+  const padding = Math.max(1, (Math.max(...values) - Math.min(...values)) * 0.1);
+  const minValue = zeroBased ? 0 : Math.max(0, Math.floor(Math.min(...values) - padding));
+  const maxValue = zeroBased ? getNiceMax(Math.max(...values)) : Math.ceil(Math.max(...values) + padding);
+
+  // A single point sits in the middle of the plot
+  const getX = (date) => PADDING.left + (maxTime === minTime ? plotWidth / 2 : ((date.getTime() - minTime) / (maxTime - minTime)) * plotWidth);
+  const getY = (value) => baseline - ((Math.max(minValue, value) - minValue) / (maxValue - minValue)) * plotHeight;
+
+  const points = data.map(point => ({ ...point, x: getX(point.date), y: getY(point.value) }));
+  const linePath = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x},${point.y}`).join(' ');
+  const areaPath = `${linePath} L${points[points.length - 1].x},${baseline} L${points[0].x},${baseline} Z`;
+  const averagePath = showAverage
+    ? points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x},${getY(point.average)}`).join(' ')
+    : null;
+
+  const trend = showTrend ? getLinearTrend(data) : null;
+  const firstDate = data[0].date;
+  const lastDate = data[data.length - 1].date;
+
+  const yTicks = Array.from({ length: Y_TICKS + 1 }, (_, index) => minValue + ((maxValue - minValue) / Y_TICKS) * index);
+  const xLabels = data.length > 2
+    ? [firstDate, data[Math.floor(data.length / 2)].date, lastDate]
+    : data.map(point => point.date);
+
+  // Map a pointer position to the nearest data point
+  const handlePointer = (event) => {
+    const source = event.touches ? event.touches[0] : event;
+    if (!source) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const x = ((source.clientX - rect.left) / rect.width) * WIDTH;
+    const time = maxTime === minTime ? minTime : minTime + ((x - PADDING.left) / plotWidth) * (maxTime - minTime);
+    setActiveIndex(getNearestIndex(data, time));
+  };
+
+  const active = activeIndex !== null ? points[activeIndex] : null;
+  const tooltipWidth = showAverage ? 170 : 120;
+  const tooltipX = active ? Math.min(WIDTH - PADDING.right - tooltipWidth, Math.max(PADDING.left, active.x - tooltipWidth / 2)) : 0;
+  const tooltipY = active ? Math.max(0, active.y - 52) : 0;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      className="w-full h-auto select-none touch-pan-y"
+      onMouseMove={handlePointer}
+      onMouseLeave={() => setActiveIndex(null)}
+      onTouchStart={handlePointer}
+      onTouchMove={handlePointer}
+    >
+      <defs>
+        <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
+          <stop offset="0%" stopColor={color} stopOpacity="0.3" />
+          <stop offset="100%" stopColor={color} stopOpacity="0.02" />
+        </linearGradient>
+      </defs>
+
+      {/* Grid */}
+      {yTicks.map(tick => (
+        <g key={tick}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={getY(tick)} y2={getY(tick)} stroke="#e2e8f0" strokeWidth="1" />
+          <text x={PADDING.left - 8} y={getY(tick)} textAnchor="end" dominantBaseline="middle" className="text-xs fill-slate-400">
+            {formatValue(Math.round(tick * 10) / 10)}
+          </text>
+        </g>
+      ))}
+      {xLabels.map((date, index) => (
+        <text
+          key={index}
+          x={getX(date)}
+          y={height - 8}
+          textAnchor={xLabels.length > 1 && index === 0 ? 'start' : xLabels.length > 1 && index === xLabels.length - 1 ? 'end' : 'middle'}
+          className="text-xs fill-slate-500"
+        >
+          {formatDate(date)}
+        </text>
+      ))}
+
+      {/* Data */}
+      <path d={areaPath} fill={`url(#${gradientId})`} />
+      <path d={linePath} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" />
+
+      {averagePath && (
+        <path d={averagePath} fill="none" stroke="#334155" strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" />
+      )}
+
+      {trend && (
+        <line
+          x1={getX(firstDate)}
+          y1={getY(trend.valueAt(firstDate))}
+          x2={getX(lastDate)}
+          y2={getY(trend.valueAt(lastDate))}
+          stroke="#64748b"
+          strokeWidth="1.5"
+          strokeDasharray="6 4"
+        />
+      )}
+
+      {points.map((point, index) => (
+        <circle
+          key={index}
+          cx={point.x}
+          cy={point.y}
+          r={index === activeIndex ? 5 : 3}
+          fill={color}
+          stroke="white"
+          strokeWidth="2"
+        />
+      ))}
+
+      {/* Tooltip */}
+      {active && (
+        <g pointerEvents="none">
+          <line x1={active.x} x2={active.x} y1={PADDING.top} y2={baseline} stroke="#94a3b8" strokeWidth="1" />
+          <rect x={tooltipX} y={tooltipY} width={tooltipWidth} height="40" rx="6" fill="#1e293b" opacity="0.9" />
+          <text x={tooltipX + tooltipWidth / 2} y={tooltipY + 16} textAnchor="middle" className="text-xs fill-slate-300">
+            {formatDate(active.date)}
+          </text>
+          <text x={tooltipX + tooltipWidth / 2} y={tooltipY + 32} textAnchor="middle" className="text-sm font-semibold fill-white">
+            {formatValue(Math.round(active.value * 10) / 10)}
+            {showAverage && ` · avg ${formatValue(active.average)}`}
+          </text>
+        </g>
+      )}
+    </svg>
+  );
+};
+
+export default LineChart;
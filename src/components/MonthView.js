@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import MuscleIcon from './MuscleIcon';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import {
+  getMonthRange,
+  filterWorkoutsInRange,
+  groupWorkoutsByDate,
+  countSets,
+  formatDuration
+} from '../selectors/workoutSelectors';
+import { countSetsByBodyPart } from '../selectors/statsSelectors';
+import { getSessionsInRange, getTotalSessionMinutes } from '../selectors/sessionSelectors';
+import { CARDIO_BODY_PART, isCardioPart, sumCardio, formatCardioTotals, roundMinutes } from '../utils/cardio';
+
+const MonthView = ({ onOpenDay }) => {
+  const { workouts, sessions, bodyParts, today } = useWorkoutStore();
+  const [monthOffset, setMonthOffset] = useState(0); // Months relative to the current month
+
+  const { start: startOfMonth, end: endOfMonth } = getMonthRange(today, monthOffset);
+  const monthWorkouts = filterWorkoutsInRange(workouts, startOfMonth, endOfMonth);
+  const groupedMonthWorkouts = groupWorkoutsByDate(monthWorkouts);
+  const monthSets = countSetsByBodyPart(monthWorkouts, bodyParts);
+  const monthSessions = getSessionsInRange(sessions, startOfMonth, endOfMonth);
+  const monthCardio = sumCardio(monthWorkouts);
+
+  return (
+    <div className="space-y-8">
+      {/* Month Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-slate-800 mb-2">
+          <div className="flex items-center justify-center space-x-4">
+            <button
+              onClick={() => setMonthOffset(monthOffset - 1)}
+              className="p-1 rounded-lg text-slate-400 hover:text-slate-700 hover:bg-slate-100 transition-colors"
+              title="Previous month"
+            >
+              <ChevronLeft className="w-6 h-6" />
+            </button>
+            <span>
+              {startOfMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+            </span>
+            <button
+              onClick={() => setMonthOffset(monthOffset + 1)}
+              className="p-1 rounded-lg text-slate-400 hover:text-slate-700 hover:bg-slate-100 transition-colors"
+              title="Next month"
+            >
+              <ChevronRight className="w-6 h-6" />
+            </button>
+          </div>
+        </h2>
+        {monthOffset !== 0 && (
+          <button
+            onClick={() => setMonthOffset(0)}
+            className="text-sm font-medium text-orange-600 hover:text-orange-700"
+          >
+            Back to this month
+          </button>
+        )}
+      </div>
+    
+      {/* Monthly Summary */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold text-slate-800">Monthly Summary</h3>
+        
+          {monthSessions.length > 0 && (
+            <div className="bg-slate-50 border border-slate-200 rounded-lg px-3 py-2">
+              <div className="text-sm text-slate-600">
+                <span className="font-medium">Total time:</span> {formatDuration(getTotalSessionMinutes(monthSessions))}
+              </div>
+            </div>
+          )}
+        </div>
+      
+        {/* Stats Grid */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+          <div className="text-center">
+            <div className="bg-slate-50 border border-slate-200 rounded-xl p-6">
+              <div className="text-4xl font-bold text-slate-800 mb-2">{Object.keys(groupedMonthWorkouts).length}</div>
+              <div className="text-sm text-slate-600">Active Days</div>
+            </div>
+          </div>
+        
+          <div className="text-center">
+            <div className="bg-slate-50 border border-slate-200 rounded-xl p-6">
+              <div className="text-4xl font-bold text-slate-800 mb-2">
+                {Object.values(monthSets).reduce((sum, count) => sum + count, 0)}
+              </div>
+              <div className="text-sm text-slate-600">Total Sets</div>
+            </div>
+          </div>
+        </div>
+      
+        {/* Muscle Groups Progress */}
+        <div>
+          <h4 className="text-lg font-medium text-slate-800 mb-4">Muscle Groups</h4>
+          <div className="space-y-3">
+            {bodyParts.filter(part => !isCardioPart(part)).map(part => (
+              <div key={part.name} className="flex items-center space-x-4">
+                <div className="w-8 h-8 bg-slate-100 border border-slate-200 rounded-lg flex items-center justify-center text-slate-600">
+                  <MuscleIcon type={part.icon} size={18} />
+                </div>
+                <div className="flex-1 flex items-center space-x-3">
+                  <span className="text-slate-700 font-medium w-20">{part.name}</span>
+                  <div className="flex-1 bg-slate-200 rounded-full h-3 overflow-hidden">
+                    <div 
+                      className="bg-gradient-to-r from-orange-400 to-orange-500 h-full rounded-full transition-all duration-500" 
+                      style={{ width: `${Math.min(100, (monthSets[part.name] / 40) * 100)}%` }}
+                    ></div>
+                  </div>
+                  <span className="text-slate-600 font-medium text-sm w-16 text-right">
+                    {monthSets[part.name]} sets
+                  </span>
+                </div>
+              </div>
+            ))}
+            {/* Cardio is measured in time and distance rather than sets */}
+            <div className="flex items-center space-x-4">
+              <div className="w-8 h-8 bg-slate-100 border border-slate-200 rounded-lg flex items-center justify-center text-slate-600">
+                <MuscleIcon type="cardio" size={18} />
+              </div>
+              <div className="flex-1 flex items-center justify-between">
+                <span className="text-slate-700 font-medium w-20">{CARDIO_BODY_PART}</span>
+                <span className="text-slate-600 font-medium text-sm text-right">
+                  {monthCardio.count > 0
+                    ? `${formatCardioTotals(monthCardio)} · ${monthCardio.count} ${monthCardio.count === 1 ? 'session' : 'sessions'}`
+                    : 'None logged'}
+                </span>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    
+      {/* Monthly Calendar */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+        <h3 className="text-xl font-semibold text-slate-800 mb-6">Monthly Calendar</h3>
+      
+        {/* Calendar Header */}
+        <div className="grid grid-cols-7 gap-2 mb-4">
+          {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+            <div key={day} className="text-center text-sm font-medium text-slate-500 py-2">{day}</div>
+          ))}
+        </div>
+      
+        {/* Calendar Grid */}
+        <div className="grid grid-cols-7 gap-2">
+          {(() => {
+            const firstDay = startOfMonth;
+            const daysInMonth = endOfMonth.getDate();
+            const startOffset = firstDay.getDay();
+            const calendarCells = [];
+          
+            // Empty cells for days before the 1st
+            for (let i = 0; i < startOffset; i++) {
+              calendarCells.push(
+                <div key={`empty-${i}`} className="h-16"></div>
+              );
+            }
+          
+            // Days of the month
+            for (let day = 1; day <= daysInMonth; day++) {
+              const date = new Date(startOfMonth.getFullYear(), startOfMonth.getMonth(), day);
+              const dateStr = date.toLocaleDateString();
+              const dayWorkouts = groupedMonthWorkouts[dateStr] || [];
+              const isToday = date.toLocaleDateString() === today.toLocaleDateString();
+              const daySets = countSets(dayWorkouts);
+              const dayCardio = sumCardio(dayWorkouts);
+            
+              calendarCells.push(
+                <div key={day} onClick={() => onOpenDay(date)} title="Open day editor" className={`h-16 p-2 rounded-lg border transition-all duration-200 cursor-pointer ${
+                  isToday 
+                    ? 'bg-orange-50 border-orange-200 ring-2 ring-orange-300' 
+                    : dayWorkouts.length > 0 
+                      ? 'bg-emerald-50 border-emerald-200 hover:bg-emerald-100' 
+                      : 'border-slate-200 hover:bg-slate-50'
+                }`}>
+                  <div className={`text-sm font-medium mb-1 ${
+                    isToday ? 'text-orange-700' : dayWorkouts.length > 0 ? 'text-emerald-700' : 'text-slate-700'
+                  }`}>
+                    {day}
+                  </div>
+                
+                  {dayWorkouts.length > 0 && (
+                    <div className="flex items-center justify-center">
+                      <div className="bg-emerald-100 text-emerald-700 px-2 py-1 rounded-md text-xs font-bold">
+                        {/* Cardio-only days show minutes instead of a set count */}
+                        {daySets > 0 || dayCardio.count === 0 ? daySets : `${roundMinutes(dayCardio.minutes)}m`}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              );
+            }
+          
+            return calendarCells;
+          })()}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MonthView;
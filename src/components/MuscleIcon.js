@@ -0,0 +1,56 @@
+import React from 'react';
+
+// Icon component for muscle groups
+const MuscleIcon = ({ type, size = 24 }) => {
+  const icons = {
+    biceps: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M12 2C13.1 2 14 2.9 14 4C14 5.1 13.1 6 12 6C10.9 6 10 5.1 10 4C10 2.9 10.9 2 12 2ZM8 8C8.6 8 9 8.4 9 9V11C9 12.1 9.9 13 11 13H13C14.1 13 15 12.1 15 11V9C15 8.4 15.4 8 16 8S17 8.4 17 9V11C17 13.2 15.2 15 13 15H11C8.8 15 7 13.2 7 11V9C7 8.4 7.4 8 8 8Z"/>
+      </svg>
+    ),
+    triceps: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M12 2C13.1 2 14 2.9 14 4C14 5.1 13.1 6 12 6C10.9 6 10 5.1 10 4C10 2.9 10.9 2 12 2ZM7 8C7.6 8 8 8.4 8 9V15C8 16.1 8.9 17 10 17H14C15.1 17 16 16.1 16 15V9C16 8.4 16.4 8 17 8S18 8.4 18 9V15C18 17.2 16.2 19 14 19H10C7.8 19 6 17.2 6 15V9C6 8.4 6.4 8 7 8Z"/>
+      </svg>
+    ),
+    legs: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M13 1C13.6 1 14 1.4 14 2V8C14 8.6 13.6 9 13 9H11C10.4 9 10 8.6 10 8V2C10 1.4 10.4 1 11 1H13ZM9 10H15C15.6 10 16 10.4 16 11V17C16 19.2 14.2 21 12 21S8 19.2 8 17V11C8 10.4 8.4 10 9 10ZM5 12C5.6 12 6 12.4 6 13V21C6 21.6 5.6 22 5 22S4 21.6 4 21V13C4 12.4 4.4 12 5 12ZM19 12C19.6 12 20 12.4 20 13V21C20 21.6 19.6 22 19 22S18 21.6 18 21V13C18 12.4 18.4 12 19 12Z"/>
+      </svg>
+    ),
+    cardio: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M12 21.35L10.55 20.03C5.4 15.36 2 12.27 2 8.5C2 5.41 4.42 3 7.5 3C9.24 3 10.91 3.81 12 5.08C13.09 3.81 14.76 3 16.5 3C19.58 3 22 5.41 22 8.5C22 12.27 18.6 15.36 13.45 20.03L12 21.35Z"/>
+      </svg>
+    ),
+    back: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M12 2C13.1 2 14 2.9 14 4C14 5.1 13.1 6 12 6C10.9 6 10 5.1 10 4C10 2.9 10.9 2 12 2ZM6 8C6.6 8 7 8.4 7 9V17C7 17.6 6.6 18 6 18S5 17.6 5 17V9C5 8.4 5.4 8 6 8ZM18 8C18.6 8 19 8.4 19 9V17C19 17.6 18.6 18 18 18S17 17.6 17 17V9C17 8.4 17.4 8 18 8ZM9 9C9.6 9 10 9.4 10 10V16C10 16.6 9.6 17 9 17S8 16.6 8 16V10C8 9.4 8.4 9 9 9ZM15 9C15.6 9 16 9.4 16 10V16C16 16.6 15.6 17 15 17S14 16.6 14 16V10C14 9.4 14.4 9 15 9Z"/>
+      </svg>
+    ),
+    chest: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M12 2C13.1 2 14 2.9 14 4C14 5.1 13.1 6 12 6C10.9 6 10 5.1 10 4C10 2.9 10.9 2 12 2ZM8 8C8.6 8 9 8.4 9 9C9 9.6 8.6 10 8 10S7 9.6 7 9C7 8.4 7.4 8 8 8ZM16 8C16.6 8 17 8.4 17 9C17 9.6 16.6 10 16 10S15 9.6 15 9C15 8.4 15.4 8 16 8ZM10 12C10 11.4 10.4 11 11 11H13C13.6 11 14 11.4 14 12V18C14 19.1 13.1 20 12 20S10 19.1 10 18V12Z"/>
+      </svg>
+    ),
+    glutes: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M12 2C13.1 2 14 2.9 14 4C14 5.1 13.1 6 12 6C10.9 6 10 5.1 10 4C10 2.9 10.9 2 12 2ZM8 9C8.6 9 9 9.4 9 10V14C9 15.7 10.3 17 12 17S15 15.7 15 14V10C15 9.4 15.4 9 16 9S17 9.4 17 10V14C17 16.8 14.8 19 12 19S7 16.8 7 14V10C7 9.4 7.4 9 8 9ZM6 15C6.6 15 7 15.4 7 16V20C7 20.6 6.6 21 6 21S5 20.6 5 20V16C5 15.4 5.4 15 6 15ZM18 15C18.6 15 19 15.4 19 16V20C19 20.6 18.6 21 18 21S17 20.6 17 20V16C17 15.4 17.4 15 18 15Z"/>
+      </svg>
+    ),
+    shoulders: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M12 2C13.1 2 14 2.9 14 4C14 5.1 13.1 6 12 6C10.9 6 10 5.1 10 4C10 2.9 10.9 2 12 2ZM6 8C6.6 8 7 8.4 7 9V12C7 12.6 6.6 13 6 13S5 12.6 5 12V9C5 8.4 5.4 8 6 8ZM18 8C18.6 8 19 8.4 19 9V12C19 12.6 18.6 13 18 13S17 12.6 17 12V9C17 8.4 17.4 8 18 8ZM9 10C9.6 10 10 10.4 10 11V17C10 17.6 9.6 18 9 18S8 17.6 8 17V11C8 10.4 8.4 10 9 10ZM15 10C15.6 10 16 10.4 16 11V17C16 17.6 15.6 18 15 18S14 17.6 14 17V11C14 10.4 14.4 10 15 10Z"/>
+      </svg>
+    ),
+    abs: (
+      <svg width={size} height={size} viewBox="0 0 24 24" fill="currentColor">
+        <path d="M12 2C13.1 2 14 2.9 14 4C14 5.1 13.1 6 12 6C10.9 6 10 5.1 10 4C10 2.9 10.9 2 12 2ZM10 8H14C14.6 8 15 8.4 15 9V19C15 19.6 14.6 20 14 20H10C9.4 20 9 19.6 9 19V9C9 8.4 9.4 8 10 8ZM11 10V12H13V10H11ZM11 13V15H13V13H11ZM11 16V18H13V16H11Z"/>
+      </svg>
+    )
+  };
+
+  return icons[type] || icons.biceps;
+};
+
+export default MuscleIcon;
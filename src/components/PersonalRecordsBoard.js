@@ -0,0 +1,94 @@
+import React from 'react';
+import { Trophy } from 'lucide-react';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { ONE_REP_MAX_FORMULAS, roundRecord } from '../utils/records';
+
+// Rep records shown per exercise, heaviest weights first
+const MAX_REP_RECORDS = 5;
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// PR board for the Analysis view. `records` come from getRecordBoard.
+const PersonalRecordsBoard = ({ records }) => {
+  const { oneRepMaxFormula, setOneRepMaxFormula } = useWorkoutStore();
+
+  const renderRecordCell = (record, format) => (
+    <td className="py-3 px-2 text-right">
+      {record ? (
+        <>
+          <div className="font-medium text-slate-800">{format(record)}</div>
+          <div className="text-xs text-slate-400">{formatDate(record.date)}</div>
+        </>
+      ) : (
+        <span className="text-slate-300">-</span>
+      )}
+    </td>
+  );
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-6">
+        <h3 className="text-xl font-semibold text-slate-800 flex items-center">
+          <Trophy className="w-5 h-5 mr-2 text-amber-500" />
+          Personal Records
+        </h3>
+        <label className="flex items-center text-sm text-slate-600">
+          <span className="mr-2">1RM formula</span>
+          <select
+            value={oneRepMaxFormula}
+            onChange={(e) => setOneRepMaxFormula(e.target.value)}
+            className="bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+          >
+            {ONE_REP_MAX_FORMULAS.map(formula => (
+              <option key={formula.id} value={formula.id}>{formula.label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {records.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-slate-500 border-b border-slate-200">
+                <th className="py-2 px-2 text-left font-medium">Exercise</th>
+                <th className="py-2 px-2 text-right font-medium">Heaviest</th>
+                <th className="py-2 px-2 text-right font-medium">Est. 1RM</th>
+                <th className="py-2 px-2 text-right font-medium">Session volume</th>
+              </tr>
+            </thead>
+            <tbody>
+              {records.map(record => {
+                const repRecords = Object.values(record.repsByWeight)
+                  .sort((a, b) => b.weight - a.weight)
+                  .slice(0, MAX_REP_RECORDS);
+
+                return (
+                  <tr key={record.key} className="border-b border-slate-100 last:border-0 align-top">
+                    <td className="py-3 px-2">
+                      <div className="font-medium text-slate-800">{record.label}</div>
+                      <div className="text-xs text-slate-500">
+                        {repRecords.map(rep => (
+                          <span key={rep.weight} className="mr-2" title={`Most reps at ${rep.weight}kg, ${formatDate(rep.date)}`}>
+                            {rep.weight}kg × {rep.reps}
+                          </span>
+                        ))}
+                      </div>
+                    </td>
+                    {renderRecordCell(record.weight, best => `${best.weight}kg × ${best.reps}`)}
+                    {renderRecordCell(record.e1rm, best => `${roundRecord(best.value)}kg`)}
+                    {renderRecordCell(record.volume, best => `${roundRecord(best.value)}kg`)}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">Enter weight and reps for your sets to start tracking personal records.</p>
+      )}
+    </div>
+  );
+};
+
+export default PersonalRecordsBoard;
@@ -0,0 +1,164 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import { WEEKDAYS, MAX_PROGRAM_WEEKS } from '../utils/programs';
+import { toDateInputValue, fromDateInputValue } from '../utils/dates';
+
+// Modal for creating or editing a program: which template runs on which
+// weekday, for how many weeks, and which weeks are deloads
+const ProgramEditor = ({ program, isNew, templates, onSave, onClose }) => {
+  const [name, setName] = useState(program.name);
+  const [startDate, setStartDate] = useState(toDateInputValue(new Date(program.startDate)));
+  const [weeks, setWeeks] = useState(program.weeks);
+  const [schedule, setSchedule] = useState(program.schedule);
+  const [deloadWeeks, setDeloadWeeks] = useState(program.deloadWeeks);
+
+  const scheduledDays = Object.values(schedule).filter(Boolean).length;
+  const canSave = name.trim() !== '' && scheduledDays > 0 && fromDateInputValue(startDate) !== null;
+
+  const updateDay = (day, templateId) => {
+    setSchedule(prev => {
+      const next = { ...prev };
+      if (templateId) {
+        next[day] = templateId;
+      } else {
+        delete next[day];
+      }
+      return next;
+    });
+  };
+
+  const updateWeeks = (value) => {
+    const number = Math.min(MAX_PROGRAM_WEEKS, Math.max(1, parseInt(value, 10) || 1));
+    setWeeks(number);
+    setDeloadWeeks(prev => prev.filter(week => week <= number));
+  };
+
+  const toggleDeload = (week) => {
+    setDeloadWeeks(prev => (prev.includes(week) ? prev.filter(w => w !== week) : [...prev, week].sort((a, b) => a - b)));
+  };
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    const start = fromDateInputValue(startDate);
+    const saved = await onSave({
+      ...program,
+      name: name.trim(),
+      // Moving the start date invalidates shifts and skips made against the old one
+      ...(start.toISOString() !== program.startDate && { startDate: start.toISOString(), shifts: [], skipped: [] }),
+      weeks,
+      schedule,
+      deloadWeeks
+    });
+    if (saved) onClose();
+  };
+
+  const fieldClass = "bg-slate-50 border border-slate-200 rounded-lg px-3 py-2 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300";
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto border border-slate-200 relative">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-slate-400 hover:text-slate-600"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        <h3 className="text-xl font-semibold mb-6 text-center text-slate-800">{isNew ? 'New Program' : 'Edit Program'}</h3>
+
+        <div className="space-y-4 text-sm">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Program name, e.g. Upper/Lower 8 weeks"
+            className={`w-full ${fieldClass}`}
+          />
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className="text-slate-600">
+              Starts
+              <input
+                type="date"
+                value={startDate}
+                onChange={(e) => setStartDate(e.target.value)}
+                className={`w-full mt-1 ${fieldClass}`}
+              />
+            </label>
+            <label className="text-slate-600">
+              Weeks
+              <input
+                type="number"
+                inputMode="numeric"
+                min="1"
+                max={MAX_PROGRAM_WEEKS}
+                value={weeks}
+                onChange={(e) => updateWeeks(e.target.value)}
+                className={`w-full mt-1 ${fieldClass}`}
+              />
+            </label>
+          </div>
+
+          <div>
+            <div className="font-medium text-slate-800 mb-2">Weekly schedule</div>
+            <div className="space-y-2">
+              {WEEKDAYS.map(({ day, label }) => (
+                <div key={day} className="flex items-center space-x-3">
+                  <span className="w-10 text-slate-600">{label}</span>
+                  <select
+                    value={schedule[day] || ''}
+                    onChange={(e) => updateDay(day, e.target.value)}
+                    className={`flex-1 ${fieldClass} py-1.5`}
+                  >
+                    <option value="">Rest</option>
+                    {templates.map(template => (
+                      <option key={template.id} value={template.id}>{template.name}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="font-medium text-slate-800 mb-1">Deload weeks</div>
+            <p className="text-slate-500 mb-2">Templates run with fewer sets in these weeks.</p>
+            <div className="flex flex-wrap gap-2">
+              {Array.from({ length: weeks }, (_, index) => index + 1).map(week => (
+                <button
+                  key={week}
+                  onClick={() => toggleDeload(week)}
+                  className={`w-9 h-9 rounded-lg text-sm font-medium border transition-colors ${
+                    deloadWeeks.includes(week)
+                      ? 'bg-blue-100 border-blue-200 text-blue-700'
+                      : 'bg-white border-slate-200 text-slate-600 hover:bg-slate-100'
+                  }`}
+                >
+                  {week}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 pt-2">
+            <button
+              onClick={onClose}
+              className="py-3 px-4 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-lg font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!canSave}
+              className="py-3 px-4 bg-orange-500 hover:bg-orange-600 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+            >
+              Save Program
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProgramEditor;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { Edit2, Trash2, Plus } from 'lucide-react';
+import ProgramEditor from './ProgramEditor';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { getActiveProgram } from '../selectors/programSelectors';
+import { createProgram, getProgramWeek, WEEKDAYS } from '../utils/programs';
+
+// Programs overview for the day editor: the running program's progress, and
+// switching between or managing saved programs
+const ProgramPanel = ({ selectedDate }) => {
+  const { programs, templates, today, saveProgram, deleteProgram } = useWorkoutStore();
+  const [editing, setEditing] = useState(null); // { program, isNew }
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const activeProgram = getActiveProgram(programs);
+  const otherPrograms = programs.filter(program => program !== activeProgram);
+
+  const describeSchedule = (program) => WEEKDAYS
+    .filter(({ day }) => program.schedule[day])
+    .map(({ day, label }) => {
+      const template = templates.find(t => t.id === program.schedule[day]);
+      return `${label} ${template ? template.name : '(deleted template)'}`;
+    })
+    .join(' · ');
+
+  const renderActions = (program) => (
+    confirmDeleteId === program.id ? (
+      <div className="flex items-center space-x-2 ml-2 text-sm">
+        <span className="text-slate-600">Delete?</span>
+        <button
+          onClick={() => {
+            deleteProgram(program.id);
+            setConfirmDeleteId(null);
+          }}
+          className="font-medium text-red-600 hover:text-red-700"
+        >
+          Yes
+        </button>
+        <button onClick={() => setConfirmDeleteId(null)} className="font-medium text-slate-600 hover:text-slate-800">
+          No
+        </button>
+      </div>
+    ) : (
+      <div className="flex items-center space-x-1 ml-2 flex-shrink-0">
+        <button
+          onClick={() => setEditing({ program, isNew: false })}
+          className="p-1.5 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+          title="Edit program"
+        >
+          <Edit2 className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => setConfirmDeleteId(program.id)}
+          className="p-1.5 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-lg transition-colors"
+          title="Delete program"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      </div>
+    )
+  );
+
+  const week = activeProgram ? getProgramWeek(activeProgram, selectedDate) : null;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-slate-800">Program</h3>
+        <button
+          onClick={() => setEditing({ program: createProgram(today), isNew: true })}
+          disabled={templates.length === 0}
+          className="flex items-center text-sm font-medium text-orange-600 hover:text-orange-700 disabled:opacity-50"
+          title={templates.length === 0 ? 'Create a template first' : 'New program'}
+        >
+          <Plus className="w-4 h-4 mr-1" />
+          New
+        </button>
+      </div>
+
+      {activeProgram ? (
+        <div className="p-3 bg-orange-50 border border-orange-200 rounded-lg">
+          <div className="flex items-center justify-between">
+            <div className="min-w-0">
+              <div className="font-medium text-slate-800 truncate">{activeProgram.name}</div>
+              <div className="text-sm text-orange-700">
+                {week ? `Week ${week} of ${activeProgram.weeks}` : `${activeProgram.weeks} weeks from ${new Date(activeProgram.startDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`}
+                {week && activeProgram.deloadWeeks.includes(week) && (
+                  <span className="ml-2 text-xs font-medium text-blue-700 bg-blue-100 px-1.5 py-0.5 rounded-full">Deload</span>
+                )}
+              </div>
+            </div>
+            {renderActions(activeProgram)}
+          </div>
+          <div className="mt-2 text-xs text-slate-500">{describeSchedule(activeProgram)}</div>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">
+          {templates.length === 0
+            ? 'Save a template first, then schedule templates on weekdays as a multi-week program.'
+            : 'Schedule your templates on weekdays as a multi-week program with deload weeks.'}
+        </p>
+      )}
+
+      {otherPrograms.length > 0 && (
+        <div className="mt-3 space-y-2">
+          {otherPrograms.map(program => (
+            <div key={program.id} className="flex items-center justify-between p-3 bg-slate-50 border border-slate-200 rounded-lg">
+              <div className="min-w-0 flex-1">
+                <div className="text-sm font-medium text-slate-800 truncate">{program.name}</div>
+                <div className="text-xs text-slate-500 truncate">{describeSchedule(program)}</div>
+              </div>
+              <button
+                onClick={() => saveProgram({ ...program, active: true })}
+                className="ml-2 text-sm font-medium text-orange-600 hover:text-orange-700"
+              >
+                Activate
+              </button>
+              {renderActions(program)}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {editing && (
+        <ProgramEditor
+          program={editing.program}
+          isNew={editing.isNew}
+          templates={templates}
+          onSave={saveProgram}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProgramPanel;
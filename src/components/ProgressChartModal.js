@@ -0,0 +1,100 @@
+import React, { useState, useMemo } from 'react';
+import { X } from 'lucide-react';
+import LineChart from './LineChart';
+import MuscleIcon from './MuscleIcon';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { CHART_METRICS, CHART_RANGES, getMetricSeries, getLoggedExercises } from '../selectors/chartSelectors';
+import { getLinearTrend } from '../utils/charts';
+
+// Progress over time for one muscle group, opened from its Analysis card.
+// Load metrics can be narrowed to a single exercise.
+const ProgressChartModal = ({ bodyPart, onClose }) => {
+  const { workouts, today, oneRepMaxFormula } = useWorkoutStore();
+  const [metricId, setMetricId] = useState('sets');
+  const [rangeId, setRangeId] = useState('3m');
+  const [exerciseKey, setExerciseKey] = useState('');
+
+  const metric = CHART_METRICS.find(m => m.id === metricId);
+  const exercises = useMemo(() => getLoggedExercises(workouts, bodyPart.name), [workouts, bodyPart.name]);
+
+  const series = useMemo(() => getMetricSeries(workouts, {
+    bodyPartName: bodyPart.name,
+    exerciseKey: exerciseKey || null,
+    metric: metricId,
+    rangeId,
+    today,
+    formula: oneRepMaxFormula
+  }), [workouts, bodyPart.name, exerciseKey, metricId, rangeId, today, oneRepMaxFormula]);
+
+  const trend = getLinearTrend(series);
+  const weeklyChange = trend ? Math.round(trend.slope * 7 * 10) / 10 : null;
+
+  const buttonClass = (isActive) => `px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+    isActive ? 'bg-orange-500 text-white' : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+  }`;
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto border border-slate-200 relative">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-slate-400 hover:text-slate-600"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        <div className="flex items-center space-x-3 mb-6">
+          <div className="w-10 h-10 bg-orange-100 border border-orange-200 rounded-lg flex items-center justify-center text-orange-600">
+            <MuscleIcon type={bodyPart.icon} size={20} />
+          </div>
+          <h3 className="text-xl font-semibold text-slate-800">{bodyPart.name} Progress</h3>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-3">
+          {CHART_METRICS.map(m => (
+            <button key={m.id} onClick={() => setMetricId(m.id)} className={buttonClass(m.id === metricId)}>
+              {m.label}
+            </button>
+          ))}
+        </div>
+
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <div className="flex gap-1">
+            {CHART_RANGES.map(range => (
+              <button key={range.id} onClick={() => setRangeId(range.id)} className={buttonClass(range.id === rangeId)}>
+                {range.label}
+              </button>
+            ))}
+          </div>
+          {exercises.length > 1 && (
+            <select
+              value={exerciseKey}
+              onChange={(e) => setExerciseKey(e.target.value)}
+              className="bg-white border border-slate-200 rounded-md px-2 py-1.5 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+            >
+              <option value="">All exercises</option>
+              {exercises.map(exercise => (
+                <option key={exercise.key} value={exercise.key}>{exercise.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        <LineChart
+          data={series}
+          formatValue={(value) => (metric.unit === 'kg' ? `${value}kg` : value)}
+        />
+
+        {weeklyChange !== null && (
+          <p className="mt-3 text-sm text-slate-600 text-center">
+            Trend: <span className={`font-medium ${weeklyChange > 0 ? 'text-green-600' : weeklyChange < 0 ? 'text-red-600' : 'text-slate-700'}`}>
+              {weeklyChange > 0 ? '+' : ''}{weeklyChange} {metric.unit} per week
+            </span>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ProgressChartModal;
@@ -1,6 +1,8 @@
 import React from 'react';
 
-const RadarChart = ({ data, size = 300 }) => {
+// `compareData` (same shape and order as `data`) draws a second, dashed
+// polygon behind the first; `legend` names the two as { current, compare }.
+const RadarChart = ({ data, compareData = null, legend = null, size = 300 }) => {
   const center = size / 2;
   const radius = (size * 0.35);
   const numberOfSides = data.length;
@@ -57,6 +59,9 @@ const RadarChart = ({ data, size = 300 }) => {
   // Generate the data polygon
   const dataPoints = data.map((item, index) => getPoint(item.percentage, index));
   const polygonPoints = dataPoints.map(point => `${point.x},${point.y}`).join(' ');
+  const comparePoints = compareData
+    ? compareData.map((item, index) => getPoint(item.percentage, index)).map(point => `${point.x},${point.y}`).join(' ')
+    : null;
   
   // Generate labels
   const labels = data.map((item, index) => {
@@ -79,7 +84,7 @@ const RadarChart = ({ data, size = 300 }) => {
           dominantBaseline="middle"
           className="text-xs fill-slate-500"
         >
-          {item.sets} sets
+          {compareData ? `${item.sets} vs ${compareData[index].sets} sets` : `${item.sets} sets`}
         </text>
       </g>
     );
@@ -112,6 +117,18 @@ const RadarChart = ({ data, size = 300 }) => {
         {gridCircles}
         {gridLines}
         
+        {/* Comparison area */}
+        {comparePoints && (
+          <polygon
+            points={comparePoints}
+            fill="#94a3b8"
+            fillOpacity="0.15"
+            stroke="#64748b"
+            strokeWidth="2"
+            strokeDasharray="6 4"
+          />
+        )}
+        
         {/* Data area */}
         <polygon
           points={polygonPoints}
@@ -135,6 +152,21 @@ const RadarChart = ({ data, size = 300 }) => {
         {/* Labels */}
         {labels}
       </svg>
+
+      {legend && (
+        <div className="flex flex-wrap justify-center gap-4 mt-10 text-sm text-slate-600">
+          <div className="flex items-center">
+            <span className="w-4 h-1 rounded-full bg-orange-500 mr-2"></span>
+            {legend.current}
+          </div>
+          {compareData && (
+            <div className="flex items-center">
+              <span className="w-4 h-0 border-t-2 border-dashed border-slate-500 mr-2"></span>
+              {legend.compare}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,43 @@
+import React from 'react';
+import { Timer, X } from 'lucide-react';
+import { useRestTimer } from '../store/RestTimerContext';
+import { REST_STEP_SECONDS, formatRestTime } from '../utils/restTimer';
+
+// Countdown shown in the sticky header while resting between sets
+const RestTimerBadge = () => {
+  const { timer, remainingSeconds, adjustRest, stopRest } = useRestTimer();
+
+  if (!timer) return null;
+
+  const isOver = remainingSeconds === 0;
+  const stepButtonClass = `px-1.5 text-xs font-semibold rounded transition-colors ${
+    isOver ? 'text-orange-700 hover:bg-orange-200' : 'text-slate-600 hover:bg-slate-200'
+  }`;
+
+  return (
+    <div
+      className={`flex items-center space-x-2 px-3 py-1 rounded-lg border text-sm font-medium ${
+        isOver ? 'bg-orange-100 border-orange-200 text-orange-700 animate-pulse' : 'bg-slate-100 border-slate-200 text-slate-700'
+      }`}
+      title={`Resting after ${timer.label}`}
+    >
+      <Timer className="w-4 h-4" />
+      <span className="tabular-nums">{isOver ? 'Rest over' : formatRestTime(remainingSeconds)}</span>
+      {!isOver && (
+        <>
+          <button onClick={() => adjustRest(-REST_STEP_SECONDS)} className={stepButtonClass} title="Shorten rest">
+            −{REST_STEP_SECONDS}s
+          </button>
+          <button onClick={() => adjustRest(REST_STEP_SECONDS)} className={stepButtonClass} title="Extend rest">
+            +{REST_STEP_SECONDS}s
+          </button>
+        </>
+      )}
+      <button onClick={stopRest} className="text-slate-400 hover:text-slate-600" title="Stop rest timer">
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+export default RestTimerBadge;
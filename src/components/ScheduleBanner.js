@@ -0,0 +1,91 @@
+import React from 'react';
+import { Play, AlertTriangle } from 'lucide-react';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { getActiveProgram, getScheduledDay, getLatestMissed, getOccurrenceTemplate } from '../selectors/programSelectors';
+
+const formatDay = (date) => date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+// What the active program has planned for the selected day, and a flag for a
+// recently missed session with the option to shift the schedule
+const ScheduleBanner = ({ selectedDate, isViewingToday, onNotify }) => {
+  const {
+    workouts,
+    programs,
+    templates,
+    today,
+    startFromTemplate,
+    shiftProgramSchedule,
+    skipProgramSession
+  } = useWorkoutStore();
+
+  const program = getActiveProgram(programs);
+  if (!program) return null;
+
+  const scheduled = getScheduledDay(program, templates, workouts, selectedDate, today);
+  const missed = isViewingToday ? getLatestMissed(program, workouts, today) : null;
+  const missedTemplate = missed ? getOccurrenceTemplate(missed, templates) : null;
+
+  if (!scheduled && !missed) return null;
+
+  const handleStart = () => {
+    const added = startFromTemplate(scheduled.template, selectedDate);
+    if (added.length > 0) onNotify(`Started ${scheduled.template.name}`);
+  };
+
+  return (
+    <div className="space-y-3 mb-6">
+      {missed && (
+        <div className="flex flex-wrap items-center justify-between gap-2 p-3 bg-amber-50 border border-amber-200 rounded-lg text-sm">
+          <div className="flex items-center text-amber-800">
+            <AlertTriangle className="w-4 h-4 mr-2 flex-shrink-0" />
+            <span>
+              Missed <span className="font-medium">{missedTemplate ? missedTemplate.name : 'a session'}</span> on {formatDay(missed.date)}
+            </span>
+          </div>
+          <div className="flex items-center space-x-3">
+            <button
+              onClick={() => shiftProgramSchedule(program, missed)}
+              className="font-medium text-amber-800 hover:text-amber-900"
+              title="Move this session to today and push the rest of the program back"
+            >
+              Shift schedule
+            </button>
+            <button
+              onClick={() => skipProgramSession(program, missed)}
+              className="font-medium text-slate-600 hover:text-slate-800"
+            >
+              Skip
+            </button>
+          </div>
+        </div>
+      )}
+
+      {scheduled && (
+        <div className="flex items-center justify-between p-3 bg-blue-50 border border-blue-200 rounded-lg">
+          <div className="text-sm">
+            <div className="text-blue-800">
+              Scheduled: <span className="font-semibold">{scheduled.template ? scheduled.template.name : 'Deleted template'}</span>
+              {scheduled.occurrence.isDeload && (
+                <span className="ml-2 text-xs font-medium text-blue-700 bg-blue-100 px-1.5 py-0.5 rounded-full">Deload</span>
+              )}
+            </div>
+            <div className="text-xs text-blue-600">
+              {program.name} · Week {scheduled.occurrence.week} · {scheduled.completedSets}/{scheduled.plannedSets} sets
+            </div>
+          </div>
+          {scheduled.template && scheduled.status !== 'done' && (
+            <button
+              onClick={handleStart}
+              className="flex items-center px-3 py-1.5 bg-blue-500 hover:bg-blue-600 text-white rounded-lg text-sm font-medium transition-colors"
+            >
+              <Play className="w-4 h-4 mr-1" />
+              Start
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleBanner;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Play, Pause, Square } from 'lucide-react';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { getSessionsOnDay } from '../selectors/sessionSelectors';
+import { formatDuration } from '../selectors/workoutSelectors';
+import { isSessionActive, isSessionPaused, getSessionDurationMs, getSessionMinutes } from '../utils/sessions';
+
+const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// 3725000 -> "1:02:05"
+const formatElapsed = (ms) => {
+  const totalSeconds = Math.floor(ms / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const mins = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, '0');
+  const secs = String(totalSeconds % 60).padStart(2, '0');
+  return `${hours}:${mins}:${secs}`;
+};
+
+// Start/pause/finish controls for the running session, plus the sessions
+// already finished on the selected day with their notes
+const SessionPanel = ({ selectedDate, isViewingToday }) => {
+  const {
+    sessions,
+    activeSession,
+    startSession,
+    pauseSession,
+    resumeSession,
+    finishSession,
+    updateSessionNotes
+  } = useWorkoutStore();
+  const [, setNow] = useState(() => Date.now());
+
+  // Tick the elapsed time while a session is running
+  useEffect(() => {
+    if (!activeSession || isSessionPaused(activeSession)) return;
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [activeSession]);
+
+  const finishedSessions = getSessionsOnDay(sessions, selectedDate)
+    .filter(session => !isSessionActive(session))
+    .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+  if (!isViewingToday && finishedSessions.length === 0) return null;
+
+  const notesClass = "w-full bg-white border border-slate-200 rounded-md px-3 py-2 text-sm text-slate-700 resize-none focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300";
+
+  return (
+    <div className="space-y-3 mb-6">
+      {activeSession && isViewingToday ? (
+        <div className="bg-orange-50 border border-orange-200 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <div className="text-sm font-medium text-orange-700">
+                {isSessionPaused(activeSession) ? 'Session paused' : 'Session in progress'}
+              </div>
+              <div className="text-2xl font-bold text-orange-800 tabular-nums">
+                {formatElapsed(getSessionDurationMs(activeSession))}
+              </div>
+              <div className="text-xs text-orange-600">Started {formatTime(activeSession.startedAt)}</div>
+            </div>
+            <div className="flex items-center space-x-2">
+              {isSessionPaused(activeSession) ? (
+                <button
+                  onClick={() => resumeSession(activeSession.id)}
+                  className="flex items-center px-3 py-2 bg-white border border-orange-200 text-orange-700 hover:bg-orange-100 rounded-lg text-sm font-medium transition-colors"
+                >
+                  <Play className="w-4 h-4 mr-1" />
+                  Resume
+                </button>
+              ) : (
+                <button
+                  onClick={() => pauseSession(activeSession.id)}
+                  className="flex items-center px-3 py-2 bg-white border border-orange-200 text-orange-700 hover:bg-orange-100 rounded-lg text-sm font-medium transition-colors"
+                >
+                  <Pause className="w-4 h-4 mr-1" />
+                  Pause
+                </button>
+              )}
+              <button
+                onClick={() => finishSession(activeSession.id)}
+                className="flex items-center px-3 py-2 bg-orange-500 hover:bg-orange-600 text-white rounded-lg text-sm font-medium transition-colors"
+              >
+                <Square className="w-4 h-4 mr-1" />
+                Finish
+              </button>
+            </div>
+          </div>
+          <textarea
+            value={activeSession.notes}
+            onChange={(e) => updateSessionNotes(activeSession.id, e.target.value)}
+            placeholder="Session notes (how it felt, gym, anything to remember)"
+            rows={2}
+            className={notesClass}
+          />
+        </div>
+      ) : isViewingToday && (
+        <button
+          onClick={startSession}
+          className="w-full flex items-center justify-center py-3 bg-orange-500 hover:bg-orange-600 text-white rounded-lg font-medium transition-colors"
+        >
+          <Play className="w-4 h-4 mr-2" />
+          Start workout session
+        </button>
+      )}
+
+      {finishedSessions.map(session => (
+        <div key={session.id} className="bg-slate-50 border border-slate-200 rounded-lg p-3">
+          <div className="flex items-center justify-between text-sm text-slate-600 mb-2">
+            <span>
+              <span className="font-medium text-slate-800">Session</span> · {formatTime(session.startedAt)}–{formatTime(session.finishedAt)}
+            </span>
+            <span className="font-medium">{formatDuration(getSessionMinutes(session))}</span>
+          </div>
+          <textarea
+            value={session.notes}
+            onChange={(e) => updateSessionNotes(session.id, e.target.value)}
+            placeholder="Add notes"
+            rows={1}
+            className={notesClass}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default SessionPanel;
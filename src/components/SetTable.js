@@ -0,0 +1,90 @@
+import React from 'react';
+import { formatRestTime } from '../utils/restTimer';
+
+const SetTable = ({ sets, onUpdateSet, onRemoveSet, onAddSet }) => {
+  const inputClass = "w-full bg-white border border-slate-200 rounded-md px-2 py-1.5 text-sm text-slate-700 text-center focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300";
+
+  return (
+    <div className="mt-3 bg-white border border-slate-200 rounded-lg p-3">
+      {/* Column headers */}
+      <div className="grid grid-cols-12 gap-2 text-xs font-medium text-slate-500 mb-2 px-1">
+        <div className="col-span-2">Set</div>
+        <div className="col-span-3 text-center">Weight (kg)</div>
+        <div className="col-span-3 text-center">Reps</div>
+        <div className="col-span-3 text-center">RPE</div>
+        <div className="col-span-1"></div>
+      </div>
+
+      <div className="space-y-2">
+        {sets.map((set, index) => (
+          <div key={index} className="grid grid-cols-12 gap-2 items-center">
+            <div className="col-span-2 px-1">
+              <div className="text-sm font-medium text-slate-700">{index + 1}</div>
+              {set.restSeconds != null && (
+                <div className="text-[10px] text-slate-400" title="Rest before this set">{formatRestTime(set.restSeconds)}</div>
+              )}
+            </div>
+            <div className="col-span-3">
+              <input
+                type="number"
+                inputMode="decimal"
+                min="0"
+                step="0.5"
+                value={set.weight ?? ''}
+                onChange={(e) => onUpdateSet(index, 'weight', e.target.value)}
+                className={inputClass}
+                placeholder="–"
+              />
+            </div>
+            <div className="col-span-3">
+              <input
+                type="number"
+                inputMode="numeric"
+                min="0"
+                step="1"
+                value={set.reps ?? ''}
+                onChange={(e) => onUpdateSet(index, 'reps', e.target.value)}
+                className={inputClass}
+                placeholder="–"
+              />
+            </div>
+            <div className="col-span-3">
+              <input
+                type="number"
+                inputMode="decimal"
+                min="1"
+                max="10"
+                step="0.5"
+                value={set.rpe ?? ''}
+                onChange={(e) => onUpdateSet(index, 'rpe', e.target.value)}
+                className={inputClass}
+                placeholder="opt."
+              />
+            </div>
+            <div className="col-span-1 flex justify-end">
+              <button
+                onClick={() => onRemoveSet(index)}
+                disabled={sets.length <= 1}
+                className="p-1 text-slate-400 hover:text-red-500 disabled:opacity-30 disabled:hover:text-slate-400 transition-colors"
+                title="Remove set"
+              >
+                <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                  <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+                </svg>
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <button
+        onClick={onAddSet}
+        className="mt-3 w-full py-2 text-sm font-medium text-orange-600 bg-orange-50 hover:bg-orange-100 border border-orange-200 rounded-md transition-colors"
+      >
+        + Add set
+      </button>
+    </div>
+  );
+};
+
+export default SetTable;
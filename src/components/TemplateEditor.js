@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { ChevronUp, ChevronDown, X } from 'lucide-react';
+import ExercisePicker from './ExercisePicker';
+import MuscleIcon from './MuscleIcon';
+import { createTemplateItem, getTemplateItemLabel, moveItem, clampTargetSets } from '../utils/templates';
+
+// Modal for creating or editing a template. New templates arrive with a
+// fresh id and possibly prefilled items (e.g. saved from a logged day).
+const TemplateEditor = ({ template, isNew, bodyParts, exercises, onCreateExercise, onSave, onClose }) => {
+  const [name, setName] = useState(template.name);
+  const [items, setItems] = useState(template.items);
+
+  const canSave = name.trim() !== '' && items.length > 0;
+
+  const updateTargetSets = (index, value) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, targetSets: clampTargetSets(value) } : item)));
+  };
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    const saved = await onSave({ ...template, name: name.trim(), items });
+    if (saved) onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto border border-slate-200 relative">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-slate-400 hover:text-slate-600"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        <h3 className="text-xl font-semibold mb-6 text-center text-slate-800">
+          {isNew ? 'New Template' : 'Edit Template'}
+        </h3>
+
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="Template name, e.g. Push Day"
+          className="w-full px-3 py-2 mb-4 bg-slate-50 border border-slate-200 rounded-lg text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+        />
+
+        {items.length > 0 ? (
+          <div className="space-y-2 mb-4">
+            {items.map((item, index) => {
+              const part = bodyParts.find(p => p.name === item.bodyPart);
+              return (
+                <div key={index} className="flex items-center space-x-2 p-2 bg-slate-50 border border-slate-200 rounded-lg">
+                  <div className="flex flex-col">
+                    <button
+                      onClick={() => setItems(prev => moveItem(prev, index, -1))}
+                      disabled={index === 0}
+                      className="text-slate-400 hover:text-slate-600 disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ChevronUp className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => setItems(prev => moveItem(prev, index, 1))}
+                      disabled={index === items.length - 1}
+                      className="text-slate-400 hover:text-slate-600 disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ChevronDown className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <div className="w-8 h-8 bg-white border border-slate-200 rounded-lg flex items-center justify-center text-slate-600 flex-shrink-0">
+                    {part && <MuscleIcon type={part.icon} size={16} />}
+                  </div>
+                  <span className="flex-1 min-w-0 text-sm font-medium text-slate-800 truncate">{getTemplateItemLabel(item)}</span>
+                  <input
+                    type="number"
+                    inputMode="numeric"
+                    min="1"
+                    value={item.targetSets}
+                    onChange={(e) => updateTargetSets(index, e.target.value)}
+                    className="w-14 bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 text-center focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+                    title="Target sets"
+                  />
+                  <span className="text-xs text-slate-500">sets</span>
+                  <button
+                    onClick={() => setItems(prev => prev.filter((_, i) => i !== index))}
+                    className="p-1 text-slate-400 hover:text-red-500 transition-colors"
+                    title="Remove exercise"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        ) : (
+          <p className="text-sm text-slate-500 text-center mb-4">Add exercises below to build the template.</p>
+        )}
+
+        <div className="border-t border-slate-200 pt-4 mb-6">
+          <ExercisePicker
+            bodyParts={bodyParts}
+            exercises={exercises}
+            onSelect={(part, exercise) => setItems(prev => [...prev, createTemplateItem(part, exercise)])}
+            onCreateExercise={onCreateExercise}
+            renderIcon={(type, size) => <MuscleIcon type={type} size={size} />}
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <button
+            onClick={onClose}
+            className="py-3 px-4 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-lg font-medium transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            disabled={!canSave}
+            className="py-3 px-4 bg-orange-500 hover:bg-orange-600 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+          >
+            Save Template
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateEditor;
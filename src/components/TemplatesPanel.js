@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Play, Edit2, Copy, Trash2, Plus } from 'lucide-react';
+import TemplateEditor from './TemplateEditor';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { createTemplate, templateItemsFromWorkouts, getTemplateItemLabel } from '../utils/templates';
+
+// Saved routines for the day editor: start one to pre-populate the day, or
+// manage them. `dayWorkouts` can be saved as a new template.
+const TemplatesPanel = ({ selectedDate, dayWorkouts, onNotify }) => {
+  const {
+    templates,
+    bodyParts,
+    exercises,
+    saveCustomExercise,
+    startFromTemplate,
+    saveTemplate,
+    duplicateTemplate,
+    deleteTemplate
+  } = useWorkoutStore();
+  const [editing, setEditing] = useState(null); // { template, isNew }
+  const [confirmDeleteId, setConfirmDeleteId] = useState(null);
+
+  const sortedTemplates = [...templates].sort((a, b) => a.name.localeCompare(b.name));
+
+  const handleStart = (template) => {
+    const added = startFromTemplate(template, selectedDate);
+    if (added.length > 0) onNotify(`Started ${template.name}`);
+  };
+
+  const iconButtonClass = "p-1.5 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-lg transition-colors";
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-slate-800">Templates</h3>
+        <div className="flex items-center space-x-3">
+          {dayWorkouts.length > 0 && (
+            <button
+              onClick={() => setEditing({ template: createTemplate('', templateItemsFromWorkouts(dayWorkouts)), isNew: true })}
+              className="text-sm font-medium text-slate-600 hover:text-slate-800"
+            >
+              Save day as template
+            </button>
+          )}
+          <button
+            onClick={() => setEditing({ template: createTemplate(), isNew: true })}
+            className="flex items-center text-sm font-medium text-orange-600 hover:text-orange-700"
+          >
+            <Plus className="w-4 h-4 mr-1" />
+            New
+          </button>
+        </div>
+      </div>
+
+      {sortedTemplates.length > 0 ? (
+        <div className="space-y-2">
+          {sortedTemplates.map(template => (
+            <div key={template.id} className="flex items-center justify-between p-3 bg-slate-50 border border-slate-200 rounded-lg">
+              <div className="min-w-0 flex-1">
+                <div className="font-medium text-slate-800 truncate">{template.name}</div>
+                <div className="text-xs text-slate-500 truncate">
+                  {template.items.map(getTemplateItemLabel).join(' · ')}
+                </div>
+              </div>
+
+              {confirmDeleteId === template.id ? (
+                <div className="flex items-center space-x-2 ml-2 text-sm">
+                  <span className="text-slate-600">Delete?</span>
+                  <button
+                    onClick={() => {
+                      deleteTemplate(template.id);
+                      setConfirmDeleteId(null);
+                    }}
+                    className="font-medium text-red-600 hover:text-red-700"
+                  >
+                    Yes
+                  </button>
+                  <button
+                    onClick={() => setConfirmDeleteId(null)}
+                    className="font-medium text-slate-600 hover:text-slate-800"
+                  >
+                    No
+                  </button>
+                </div>
+              ) : (
+                <div className="flex items-center space-x-1 ml-2 flex-shrink-0">
+                  <button onClick={() => setEditing({ template, isNew: false })} className={iconButtonClass} title="Edit template">
+                    <Edit2 className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => duplicateTemplate(template)} className={iconButtonClass} title="Duplicate template">
+                    <Copy className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => setConfirmDeleteId(template.id)} className={iconButtonClass} title="Delete template">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleStart(template)}
+                    className="flex items-center ml-1 px-3 py-1.5 bg-orange-500 hover:bg-orange-600 text-white rounded-lg text-sm font-medium transition-colors"
+                  >
+                    <Play className="w-4 h-4 mr-1" />
+                    Start
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500">Save routines like "Push Day" to log a whole session in one tap.</p>
+      )}
+
+      {editing && (
+        <TemplateEditor
+          template={editing.template}
+          isNew={editing.isNew}
+          bodyParts={bodyParts}
+          exercises={exercises}
+          onCreateExercise={saveCustomExercise}
+          onSave={saveTemplate}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default TemplatesPanel;
@@ -0,0 +1,222 @@
+import React, { useState, useMemo } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import ExercisePicker from './ExercisePicker';
+import MuscleIcon from './MuscleIcon';
+import WorkoutCard from './WorkoutCard';
+import SessionPanel from './SessionPanel';
+import TemplatesPanel from './TemplatesPanel';
+import ProgramPanel from './ProgramPanel';
+import ScheduleBanner from './ScheduleBanner';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { filterWorkoutsOnDay, filterWorkoutsInRange, getWeekRange, getLastSessionForBodyPart, formatDuration } from '../selectors/workoutSelectors';
+import { getSessionsOnDay, getTotalSessionMinutes } from '../selectors/sessionSelectors';
+import { getPersonalRecords, getRecordsForWorkout } from '../selectors/recordSelectors';
+import { getWeeklyVolume, getGroupsBehind } from '../selectors/volumeSelectors';
+import { getBalanceWarnings } from '../selectors/balanceSelectors';
+import { toDateInputValue, fromDateInputValue } from '../utils/dates';
+
+// Muscle groups named in the "behind this week" hint
+const MAX_BEHIND_HINTS = 4;
+// Neglect and balance warnings shown above the exercise picker
+const MAX_BALANCE_WARNINGS = 3;
+
+// Day editor: lists the entries logged on `selectedDate` and adds new ones.
+// `onNotify` shows an undoable toast in the parent.
+const TodayView = ({ selectedDate, onOpenDay, onNotify }) => {
+  const {
+    workouts,
+    sessions,
+    exercises,
+    bodyParts,
+    today,
+    oneRepMaxFormula,
+    volumeTargets,
+    balanceSettings,
+    addWorkout,
+    repeatLastSession,
+    moveWorkout,
+    removeWorkout,
+    removeSet,
+    saveCustomExercise
+  } = useWorkoutStore();
+  const [removingWorkoutId, setRemovingWorkoutId] = useState(null);
+  const [expandedWorkoutId, setExpandedWorkoutId] = useState(null);
+
+  const isViewingToday = selectedDate.getTime() === today.getTime();
+  const selectedDayWorkouts = filterWorkoutsOnDay(workouts, selectedDate);
+  const selectedDaySessions = getSessionsOnDay(sessions, selectedDate);
+  // Weekly targets the selected day's week has not reached yet
+  const selectedWeek = getWeekRange(selectedDate);
+  const groupsBehind = getGroupsBehind(getWeeklyVolume(
+    filterWorkoutsInRange(workouts, selectedWeek.start, selectedWeek.end),
+    bodyParts,
+    volumeTargets
+  ));
+  // Warnings describe the present, so they only show on today's page
+  const balanceWarnings = useMemo(
+    () => (isViewingToday ? getBalanceWarnings(workouts, bodyParts, today, balanceSettings) : []),
+    [isViewingToday, workouts, bodyParts, today, balanceSettings]
+  );
+  const recordEvents = useMemo(() => getPersonalRecords(workouts, oneRepMaxFormula).events, [workouts, oneRepMaxFormula]);
+
+  const handleRemoveWorkout = (id) => {
+    setRemovingWorkoutId(id);
+    // Add a small delay to allow fade animation; the debounced save persists the deletion
+    setTimeout(() => {
+      removeWorkout(id);
+      setRemovingWorkoutId(null);
+      onNotify('Workout removed');
+    }, 150);
+  };
+
+  const handleRemoveSet = (id, setIndex) => {
+    removeSet(id, setIndex);
+    onNotify('Set removed');
+  };
+
+  const handleRepeatLast = (bodyPart) => {
+    const added = repeatLastSession(bodyPart, selectedDate);
+    if (added.length > 0) onNotify(`Repeated last ${bodyPart.name} session`);
+  };
+
+  const handleMoveWorkout = (id, date) => {
+    moveWorkout(id, date);
+    setExpandedWorkoutId(null);
+  };
+
+  return (
+    <div className="space-y-8">
+      {/* Page Title */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-slate-800 mb-2">
+          {selectedDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', ...(selectedDate.getFullYear() !== today.getFullYear() && { year: 'numeric' }) })}
+        </h2>
+        <p className="text-slate-600">
+          {isViewingToday ? 'Track your workout and build consistency' : 'Editing a past day – changes are saved automatically'}
+        </p>
+      
+        {/* Day picker for backfilling and editing other dates */}
+        <div className="mt-4 flex items-center justify-center space-x-3">
+          <input
+            type="date"
+            value={toDateInputValue(selectedDate)}
+            max={toDateInputValue(today)}
+            onChange={(e) => {
+              const date = fromDateInputValue(e.target.value);
+              if (date) onOpenDay(date);
+            }}
+            className="bg-white border border-slate-200 rounded-lg px-3 py-2 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+          />
+          {!isViewingToday && (
+            <button
+              onClick={() => onOpenDay(today)}
+              className="text-sm font-medium text-orange-600 hover:text-orange-700"
+            >
+              Back to today
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Day's Workouts - Primary Section */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold text-slate-800">{isViewingToday ? "Today's Workouts" : 'Workouts'}</h3>
+        
+          {selectedDayWorkouts.length > 0 && selectedDaySessions.length > 0 && (
+            <div className="bg-slate-50 border border-slate-200 rounded-lg px-3 py-2">
+              <div className="flex items-center space-x-4 text-sm text-slate-600">
+                <span>
+                  <span className="font-medium">First:</span> {new Date(
+                    Math.min(...selectedDayWorkouts.map(w => new Date(w.timestamp).getTime()))
+                  ).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+                </span>
+                <span className="w-px h-4 bg-slate-300"></span>
+                <span>
+                  <span className="font-medium">Duration:</span> {formatDuration(getTotalSessionMinutes(selectedDaySessions))}
+                </span>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <ScheduleBanner selectedDate={selectedDate} isViewingToday={isViewingToday} onNotify={onNotify} />
+
+        <SessionPanel selectedDate={selectedDate} isViewingToday={isViewingToday} />
+      
+        {selectedDayWorkouts.length > 0 ? (
+          <div className="space-y-3">
+            {selectedDayWorkouts.map(workout => (
+              <WorkoutCard
+                key={workout.id}
+                workout={workout}
+                records={getRecordsForWorkout(recordEvents, workout.id)}
+                isExpanded={expandedWorkoutId === workout.id}
+                isRemoving={removingWorkoutId === workout.id}
+                onToggleExpand={() => setExpandedWorkoutId(expandedWorkoutId === workout.id ? null : workout.id)}
+                onRemove={() => handleRemoveWorkout(workout.id)}
+                onRemoveSet={(setIndex) => handleRemoveSet(workout.id, setIndex)}
+                onMove={(date) => handleMoveWorkout(workout.id, date)}
+              />
+            ))}
+          </div>
+        ) : (
+          <div className="text-center py-12">
+            <div className="w-16 h-16 bg-slate-100 rounded-full flex items-center justify-center mx-auto mb-4">
+              <svg className="w-8 h-8 text-slate-400" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" />
+              </svg>
+            </div>
+            <p className="text-slate-500 font-medium">No workouts recorded {isViewingToday ? 'today' : 'on this day'}</p>
+            <p className="text-sm text-slate-400 mt-1">Add your first exercise below to get started</p>
+          </div>
+        )}
+      </div>
+
+      {/* Add Workout Section */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+        <h3 className="text-lg font-semibold text-slate-800 mb-4">Add Exercise</h3>
+
+        {groupsBehind.length > 0 && (
+          <p className="mb-4 text-sm text-slate-600">
+            <span className="font-medium text-orange-700">Behind this week:</span>{' '}
+            {groupsBehind
+              .slice(0, MAX_BEHIND_HINTS)
+              .map(({ part, remaining }) => `${part.name} (${remaining} ${remaining === 1 ? 'set' : 'sets'} to go)`)
+              .join(', ')}
+            {groupsBehind.length > MAX_BEHIND_HINTS && ` and ${groupsBehind.length - MAX_BEHIND_HINTS} more`}
+          </p>
+        )}
+
+        {balanceWarnings.length > 0 && (
+          <ul className="mb-4 space-y-1">
+            {balanceWarnings.slice(0, MAX_BALANCE_WARNINGS).map(warning => (
+              <li key={warning.id} className="flex items-start text-sm text-amber-800">
+                <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0 text-amber-600" />
+                {warning.message}
+              </li>
+            ))}
+          </ul>
+        )}
+      
+        <ExercisePicker
+          bodyParts={bodyParts}
+          exercises={exercises}
+          onSelect={(bodyPart, exercise) => addWorkout(bodyPart, exercise, selectedDate)}
+          onCreateExercise={saveCustomExercise}
+          renderIcon={(type, size) => <MuscleIcon type={type} size={size} />}
+          getLastSession={(part) => getLastSessionForBodyPart(workouts, part.name, selectedDate)}
+          onRepeatLast={handleRepeatLast}
+        />
+      </div>
+
+      {/* Program */}
+      <ProgramPanel selectedDate={selectedDate} />
+
+      {/* Templates */}
+      <TemplatesPanel selectedDate={selectedDate} dayWorkouts={selectedDayWorkouts} onNotify={onNotify} />
+    </div>
+  );
+};
+
+export default TodayView;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Award, Lock } from 'lucide-react';
+import { ACHIEVEMENT_TIERS } from '../utils/achievements';
+
+const formatDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+// Badge grid for the Analysis view. `achievements` come from getAchievements.
+const TrophyCase = ({ achievements }) => {
+  const unlockedCount = achievements.filter(achievement => achievement.unlockedAt).length;
+
+  return (
+    <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h3 className="text-xl font-semibold text-slate-800">Trophy Case</h3>
+        <span className="text-sm text-slate-500">{unlockedCount} of {achievements.length} unlocked</span>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+        {achievements.map(achievement => {
+          const tier = ACHIEVEMENT_TIERS[achievement.tier];
+          const isUnlocked = achievement.unlockedAt !== null;
+          return (
+            <div
+              key={achievement.id}
+              className={`p-4 rounded-xl border text-center ${isUnlocked ? 'bg-white border-slate-200' : 'bg-slate-50 border-slate-200'}`}
+              title={`${tier.label}: ${achievement.description}`}
+            >
+              <div
+                className="w-12 h-12 rounded-full flex items-center justify-center mx-auto mb-2"
+                style={{
+                  backgroundColor: isUnlocked ? `${tier.color}20` : '#e2e8f0',
+                  color: isUnlocked ? tier.color : '#94a3b8'
+                }}
+              >
+                {isUnlocked ? <Award className="w-6 h-6" /> : <Lock className="w-5 h-5" />}
+              </div>
+              <div className={`font-semibold ${isUnlocked ? 'text-slate-800' : 'text-slate-500'}`}>{achievement.title}</div>
+              <div className="text-xs text-slate-500 mb-2">{achievement.description}</div>
+              {isUnlocked ? (
+                <div className="text-xs font-medium" style={{ color: tier.color }}>Unlocked {formatDate(achievement.unlockedAt)}</div>
+              ) : (
+                <>
+                  <div className="w-full bg-slate-200 rounded-full h-1.5 mb-1">
+                    <div
+                      className="h-1.5 rounded-full bg-slate-400"
+                      style={{ width: `${(achievement.value / achievement.goal) * 100}%` }}
+                    ></div>
+                  </div>
+                  <div className="text-xs text-slate-400">{achievement.value.toLocaleString()} / {achievement.goal.toLocaleString()}</div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default TrophyCase;
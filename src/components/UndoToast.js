@@ -0,0 +1,40 @@
+import React, { useEffect } from 'react';
+import { X } from 'lucide-react';
+
+const TOAST_DURATION_MS = 6000;
+
+// Bottom toast with an optional action button; without `onAction` it only informs
+const UndoToast = ({ message, actionLabel, onAction, onDismiss }) => {
+  // Restart the timer whenever a new message replaces the current one
+  useEffect(() => {
+    const timeoutId = setTimeout(onDismiss, TOAST_DURATION_MS);
+    return () => clearTimeout(timeoutId);
+  }, [message, onDismiss]);
+
+  return (
+    <div className="fixed bottom-6 left-1/2 -translate-x-1/2 z-50 px-4 w-full max-w-sm">
+      <div className="flex items-center justify-between bg-slate-800 text-white rounded-lg shadow-lg px-4 py-3">
+        <span className="text-sm">{message}</span>
+        <div className="flex items-center space-x-3 ml-4">
+          {onAction && (
+            <button
+              onClick={onAction}
+              className="text-sm font-semibold text-orange-300 hover:text-orange-200"
+            >
+              {actionLabel}
+            </button>
+          )}
+          <button
+            onClick={onDismiss}
+            className="text-slate-400 hover:text-slate-200"
+            title="Dismiss"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default UndoToast;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+import MuscleIcon from './MuscleIcon';
+import { VOLUME_PRESETS, MAX_WEEKLY_SETS, applyVolumePreset } from '../utils/volumeTargets';
+
+// Modal for the weekly set targets: start from a preset, then fine-tune the
+// range per muscle group. Clearing both fields removes a group's target.
+const VolumeTargetsEditor = ({ targets, bodyParts, onSave, onClose }) => {
+  // Field values as strings so a field can be cleared while typing
+  const [fields, setFields] = useState(() => Object.fromEntries(bodyParts.map(part => [
+    part.name,
+    targets[part.name] ? { min: String(targets[part.name].min), max: String(targets[part.name].max) } : { min: '', max: '' }
+  ])));
+
+  const applyPreset = (preset) => {
+    const presetTargets = applyVolumePreset(preset, bodyParts);
+    setFields(prev => Object.fromEntries(bodyParts.map(part => [
+      part.name,
+      presetTargets[part.name] ? { min: String(preset.min), max: String(preset.max) } : prev[part.name]
+    ])));
+  };
+
+  const updateField = (name, field, value) => {
+    setFields(prev => ({ ...prev, [name]: { ...prev[name], [field]: value } }));
+  };
+
+  const handleSave = async () => {
+    const next = {};
+    bodyParts.forEach(part => {
+      const { min, max } = fields[part.name];
+      if (min === '' && max === '') return;
+      const low = Math.min(MAX_WEEKLY_SETS, Math.max(0, parseInt(min, 10) || 0));
+      const high = Math.min(MAX_WEEKLY_SETS, Math.max(low, parseInt(max, 10) || low));
+      next[part.name] = { min: low, max: high };
+    });
+    if (await onSave(next)) onClose();
+  };
+
+  const fieldClass = "w-16 bg-slate-50 border border-slate-200 rounded-lg px-2 py-1.5 text-sm text-slate-700 text-center focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300";
+
+  return (
+    <div className="fixed inset-0 bg-slate-900 bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-xl shadow-2xl p-6 max-w-md w-full max-h-[90vh] overflow-y-auto border border-slate-200 relative">
+        <button
+          onClick={onClose}
+          className="absolute top-4 right-4 text-slate-400 hover:text-slate-600"
+        >
+          <X className="w-5 h-5" />
+        </button>
+
+        <h3 className="text-xl font-semibold mb-2 text-center text-slate-800">Weekly Set Targets</h3>
+        <p className="text-sm text-slate-500 text-center mb-6">Sets per muscle group per week</p>
+
+        <div className="space-y-4 text-sm">
+          <div className="grid grid-cols-3 gap-2">
+            {VOLUME_PRESETS.map(preset => (
+              <button
+                key={preset.id}
+                onClick={() => applyPreset(preset)}
+                className="py-2 px-2 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-lg font-medium transition-colors"
+              >
+                {preset.label}
+                <div className="text-xs font-normal text-slate-500">{preset.min}–{preset.max} sets</div>
+              </button>
+            ))}
+          </div>
+
+          <div className="space-y-2">
+            {bodyParts.map(part => (
+              <div key={part.name} className="flex items-center space-x-3">
+                <div className="w-8 h-8 bg-slate-100 border border-slate-200 rounded-lg flex items-center justify-center text-slate-600">
+                  <MuscleIcon type={part.icon} size={18} />
+                </div>
+                <span className="flex-1 text-slate-700 font-medium">{part.name}</span>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  min="0"
+                  max={MAX_WEEKLY_SETS}
+                  value={fields[part.name].min}
+                  onChange={(e) => updateField(part.name, 'min', e.target.value)}
+                  placeholder="min"
+                  aria-label={`${part.name} minimum sets`}
+                  className={fieldClass}
+                />
+                <span className="text-slate-400">–</span>
+                <input
+                  type="number"
+                  inputMode="numeric"
+                  min="0"
+                  max={MAX_WEEKLY_SETS}
+                  value={fields[part.name].max}
+                  onChange={(e) => updateField(part.name, 'max', e.target.value)}
+                  placeholder="max"
+                  aria-label={`${part.name} maximum sets`}
+                  className={fieldClass}
+                />
+              </div>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 pt-2">
+            <button
+              onClick={onClose}
+              className="py-3 px-4 bg-slate-100 hover:bg-slate-200 text-slate-700 rounded-lg font-medium transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              className="py-3 px-4 bg-orange-500 hover:bg-orange-600 text-white rounded-lg font-medium transition-colors"
+            >
+              Save Targets
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VolumeTargetsEditor;
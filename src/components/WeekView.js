@@ -0,0 +1,292 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import MuscleIcon from './MuscleIcon';
+import VolumeTargetsEditor from './VolumeTargetsEditor';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import {
+  addDays,
+  getWeekRange,
+  filterWorkoutsInRange,
+  groupWorkoutsByDate,
+  countSets,
+  formatDuration
+} from '../selectors/workoutSelectors';
+import { countSetsByBodyPart } from '../selectors/statsSelectors';
+import { getSessionsInRange, getTotalSessionMinutes, getSessionMinutesByDate } from '../selectors/sessionSelectors';
+import { getActiveProgram, getScheduledDay } from '../selectors/programSelectors';
+import { getWeeklyVolume } from '../selectors/volumeSelectors';
+import { CARDIO_BODY_PART, isCardioPart, sumCardio, formatCardioTotals } from '../utils/cardio';
+
+// Planned-session badge styles by status
+const SCHEDULE_STYLES = {
+  done: { className: 'bg-emerald-50 border-emerald-200 text-emerald-700', label: 'Done' },
+  missed: { className: 'bg-red-50 border-red-200 text-red-700', label: 'Missed' },
+  today: { className: 'bg-blue-50 border-blue-200 text-blue-700', label: 'Today' },
+  planned: { className: 'bg-slate-50 border-slate-200 text-slate-600', label: 'Planned' }
+};
+
+// Volume bar colors by target status; groups without a target stay neutral
+const TARGET_STYLES = {
+  under: 'bg-orange-400',
+  at: 'bg-emerald-500',
+  over: 'bg-violet-500'
+};
+
+const WeekView = ({ onOpenDay }) => {
+  const { workouts, sessions, programs, templates, bodyParts, today, volumeTargets, saveVolumeTargets } = useWorkoutStore();
+  const [weekOffset, setWeekOffset] = useState(0); // Weeks relative to the current week
+  const [isEditingTargets, setIsEditingTargets] = useState(false);
+
+  const { start: startOfWeek, end: endOfWeek } = getWeekRange(today, weekOffset);
+  const weekWorkouts = filterWorkoutsInRange(workouts, startOfWeek, endOfWeek);
+  const groupedWeekWorkouts = groupWorkoutsByDate(weekWorkouts);
+  const weekSets = countSetsByBodyPart(weekWorkouts, bodyParts);
+  const weekSessions = getSessionsInRange(sessions, startOfWeek, endOfWeek);
+  const sessionMinutesByDate = getSessionMinutesByDate(weekSessions);
+  const activeProgram = getActiveProgram(programs);
+  const weeklyVolume = getWeeklyVolume(weekWorkouts, bodyParts, volumeTargets).filter(entry => !isCardioPart(entry.part));
+  const weekCardio = sumCardio(weekWorkouts);
+
+  // One scale for every bar, with headroom above the largest target
+  const barScale = Math.max(1, ...weeklyVolume.map(entry => Math.max(entry.sets, entry.target ? entry.target.max * 1.25 : 0)));
+
+  return (
+    <div className="space-y-8">
+      {/* Week Header */}
+      <div className="text-center">
+        <h2 className="text-3xl font-bold text-slate-800 mb-2">
+          <div className="flex items-center justify-center space-x-4">
+            <button
+              onClick={() => setWeekOffset(weekOffset - 1)}
+              className="p-1 rounded-lg text-slate-400 hover:text-slate-700 hover:bg-slate-100 transition-colors"
+              title="Previous week"
+            >
+              <ChevronLeft className="w-6 h-6" />
+            </button>
+            <span>
+              Week of {startOfWeek.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} - {endOfWeek.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+            </span>
+            <button
+              onClick={() => setWeekOffset(weekOffset + 1)}
+              className="p-1 rounded-lg text-slate-400 hover:text-slate-700 hover:bg-slate-100 transition-colors"
+              title="Next week"
+            >
+              <ChevronRight className="w-6 h-6" />
+            </button>
+          </div>
+        </h2>
+        {weekOffset !== 0 && (
+          <button
+            onClick={() => setWeekOffset(0)}
+            className="text-sm font-medium text-orange-600 hover:text-orange-700"
+          >
+            Back to this week
+          </button>
+        )}
+      </div>
+    
+      {/* Week Calendar - Mobile Optimized */}
+      <div className="space-y-3">
+        {Array.from({ length: 7 }).map((_, index) => {
+          const currentDate = addDays(startOfWeek, index);
+          const dateStr = currentDate.toLocaleDateString();
+          const dayWorkouts = groupedWeekWorkouts[dateStr] || [];
+          const isToday = dateStr === today.toLocaleDateString();
+          const scheduled = getScheduledDay(activeProgram, templates, workouts, currentDate, today);
+          const daySets = countSets(dayWorkouts);
+          const dayCardio = sumCardio(dayWorkouts);
+        
+          return (
+            <div 
+              key={index} 
+              onClick={() => onOpenDay(currentDate)}
+              title="Open day editor"
+              className={`bg-white rounded-xl shadow-sm border p-4 transition-all duration-200 cursor-pointer hover:shadow-md ${
+                isToday ? 'ring-2 ring-orange-300 border-orange-200 bg-orange-50' : 'border-slate-200'
+              }`}
+            >
+              <div className="flex items-center justify-between mb-3">
+                <div className="flex items-center space-x-3">
+                  <div className={`text-center ${isToday ? 'text-orange-700' : 'text-slate-600'}`}>
+                    <div className="text-sm font-medium">
+                      {currentDate.toLocaleDateString('en-US', { weekday: 'short' })}
+                    </div>
+                    <div className={`text-xl font-bold ${isToday ? 'text-orange-800' : 'text-slate-800'}`}>
+                      {currentDate.toLocaleDateString('en-US', { day: 'numeric' })}
+                    </div>
+                  </div>
+                
+                  {dayWorkouts.length > 0 && (
+                    <div className="flex items-center space-x-2">
+                      <div className="bg-emerald-100 text-emerald-700 px-2 py-1 rounded-full text-xs font-medium">
+                        {dayWorkouts.length} {dayWorkouts.length === 1 ? 'workout' : 'workouts'}
+                      </div>
+                      <div className="text-xs text-slate-500">
+                        {[
+                          daySets > 0 && `${daySets} sets`,
+                          dayCardio.count > 0 && formatCardioTotals(dayCardio)
+                        ].filter(Boolean).join(' · ')}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              
+                {sessionMinutesByDate[dateStr] !== undefined && (
+                  <div className="text-xs text-slate-500 bg-slate-100 rounded-md px-2 py-1">
+                    {formatDuration(sessionMinutesByDate[dateStr])}
+                  </div>
+                )}
+              </div>
+            
+              {scheduled && (
+                <div className={`flex items-center justify-between mb-3 px-3 py-2 border rounded-lg text-sm ${SCHEDULE_STYLES[scheduled.status].className}`}>
+                  <span>
+                    <span className="font-medium">{SCHEDULE_STYLES[scheduled.status].label}:</span> {scheduled.template ? scheduled.template.name : 'Deleted template'}
+                    {scheduled.occurrence.isDeload && ' (deload)'}
+                  </span>
+                  <span className="text-xs font-medium">
+                    {scheduled.completedSets}/{scheduled.plannedSets} sets
+                  </span>
+                </div>
+              )}
+            
+              {dayWorkouts.length > 0 ? (
+                <div className="flex flex-wrap gap-2">
+                  {Array.from(new Set(dayWorkouts.map(w => w.bodyPart.name))).map(partName => {
+                    const part = bodyParts.find(p => p.name === partName);
+                    const partWorkouts = dayWorkouts.filter(w => w.bodyPart.name === partName);
+                  
+                    if (!part) return null;
+                    return (
+                      <div key={partName} className="flex items-center space-x-2 bg-orange-50 border border-orange-200 rounded-lg px-3 py-2">
+                        <div className="w-5 h-5 text-orange-600">
+                          <MuscleIcon type={part.icon} size={16} />
+                        </div>
+                        <span className="text-sm font-medium text-orange-700">{part.name}</span>
+                        <span className="text-xs text-orange-600 bg-orange-100 px-1.5 py-0.5 rounded-full">
+                          {isCardioPart(part) ? formatCardioTotals(sumCardio(partWorkouts)) : countSets(partWorkouts)}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              ) : (
+                <div className="text-center py-4">
+                  <div className="text-sm text-slate-400">No workouts</div>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    
+      {/* Weekly Summary Card */}
+      <div className="bg-white rounded-xl shadow-sm border border-slate-200 p-6">
+        <div className="flex items-center justify-between mb-6">
+          <h3 className="text-xl font-semibold text-slate-800">Weekly Summary</h3>
+        
+          {weekSessions.length > 0 && (
+            <div className="bg-slate-50 border border-slate-200 rounded-lg px-3 py-2">
+              <div className="text-sm text-slate-600">
+                <span className="font-medium">Total time:</span> {formatDuration(getTotalSessionMinutes(weekSessions))}
+              </div>
+            </div>
+          )}
+        </div>
+      
+        {/* Stats Grid */}
+        <div className="grid grid-cols-2 gap-6 mb-6">
+          <div className="text-center">
+            <div className="bg-slate-50 border border-slate-200 rounded-xl p-4">
+              <div className="text-3xl font-bold text-slate-800 mb-1">{Object.keys(groupedWeekWorkouts).length}</div>
+              <div className="text-sm text-slate-600">Active Days</div>
+            </div>
+          </div>
+        
+          <div className="text-center">
+            <div className="bg-slate-50 border border-slate-200 rounded-xl p-4">
+              <div className="text-3xl font-bold text-slate-800 mb-1">
+                {Object.values(weekSets).reduce((sum, count) => sum + count, 0)}
+              </div>
+              <div className="text-sm text-slate-600">Total Sets</div>
+            </div>
+          </div>
+        </div>
+      
+        {/* Muscle Groups Progress */}
+        <div>
+          <div className="flex items-center justify-between mb-4">
+            <h4 className="text-lg font-medium text-slate-800">Muscle Groups</h4>
+            <button
+              onClick={() => setIsEditingTargets(true)}
+              className="text-sm font-medium text-orange-600 hover:text-orange-700"
+            >
+              Edit targets
+            </button>
+          </div>
+          <div className="space-y-3">
+            {weeklyVolume.map(({ part, sets, target, status }) => (
+              <div key={part.name} className="flex items-center space-x-4">
+                <div className="w-8 h-8 bg-slate-100 border border-slate-200 rounded-lg flex items-center justify-center text-slate-600">
+                  <MuscleIcon type={part.icon} size={18} />
+                </div>
+                <div className="flex-1 flex items-center space-x-3">
+                  <span className="text-slate-700 font-medium w-20">{part.name}</span>
+                  <div className="relative flex-1 bg-slate-200 rounded-full h-3 overflow-hidden">
+                    {/* Target range */}
+                    {target && (
+                      <div
+                        className="absolute inset-y-0 bg-emerald-200"
+                        style={{ left: `${(target.min / barScale) * 100}%`, width: `${Math.max(1, ((target.max - target.min) / barScale) * 100)}%` }}
+                      ></div>
+                    )}
+                    <div 
+                      className={`relative h-full rounded-full transition-all duration-500 ${TARGET_STYLES[status] || 'bg-slate-400'}`}
+                      style={{ width: `${Math.min(100, (sets / barScale) * 100)}%` }}
+                    ></div>
+                  </div>
+                  <span
+                    className="text-slate-600 font-medium text-sm w-20 text-right"
+                    title={target ? `Target: ${target.min}–${target.max} sets` : 'No target'}
+                  >
+                    {target ? `${sets}/${target.min}–${target.max}` : `${sets} sets`}
+                  </span>
+                </div>
+              </div>
+            ))}
+            {/* Cardio is measured in time and distance rather than sets */}
+            <div className="flex items-center space-x-4">
+              <div className="w-8 h-8 bg-slate-100 border border-slate-200 rounded-lg flex items-center justify-center text-slate-600">
+                <MuscleIcon type="cardio" size={18} />
+              </div>
+              <div className="flex-1 flex items-center justify-between">
+                <span className="text-slate-700 font-medium w-20">{CARDIO_BODY_PART}</span>
+                <span className="text-slate-600 font-medium text-sm text-right">
+                  {weekCardio.count > 0
+                    ? `${formatCardioTotals(weekCardio)} · ${weekCardio.count} ${weekCardio.count === 1 ? 'session' : 'sessions'}`
+                    : 'None logged'}
+                </span>
+              </div>
+            </div>
+          </div>
+          <div className="flex flex-wrap justify-end gap-4 mt-4 text-xs text-slate-500">
+            <span className="flex items-center"><span className="w-3 h-3 rounded-full bg-orange-400 mr-1"></span>Under target</span>
+            <span className="flex items-center"><span className="w-3 h-3 rounded-full bg-emerald-500 mr-1"></span>On target</span>
+            <span className="flex items-center"><span className="w-3 h-3 rounded-full bg-violet-500 mr-1"></span>Over target</span>
+          </div>
+        </div>
+      </div>
+
+      {isEditingTargets && (
+        <VolumeTargetsEditor
+          targets={volumeTargets}
+          bodyParts={bodyParts}
+          onSave={saveVolumeTargets}
+          onClose={() => setIsEditingTargets(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default WeekView;
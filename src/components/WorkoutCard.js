@@ -0,0 +1,237 @@
+import React, { useMemo } from 'react';
+import { ChevronDown, TrendingUp, AlertTriangle, Trophy } from 'lucide-react';
+import MuscleIcon from './MuscleIcon';
+import SetTable from './SetTable';
+import CardioForm from './CardioForm';
+import { useWorkoutStore } from '../store/WorkoutContext';
+import { useRestTimer } from '../store/RestTimerContext';
+import { getTopSet } from '../utils/workoutRecords';
+import { toDateInputValue, fromDateInputValue } from '../utils/dates';
+import { REST_OPTIONS, formatRestTime } from '../utils/restTimer';
+import { PROGRESSION_RULES, STALL_SESSIONS, formatSetSummary } from '../utils/progression';
+import { getProgression } from '../selectors/progressionSelectors';
+import { formatRecord } from '../utils/records';
+import { isCardioWorkout, getCardio, getActivityLabel, formatCardioSummary } from '../utils/cardio';
+
+// One logged exercise in the day editor: last session and next target, set
+// counter, per-set table and move-to-date. Cardio entries get the cardio form
+// instead of sets. `records` are the personal records this entry set.
+const WorkoutCard = ({ workout, records = [], isExpanded, isRemoving, onToggleExpand, onRemove, onRemoveSet, onMove }) => {
+  const {
+    workouts,
+    today,
+    incrementSets,
+    decrementSets,
+    updateSet,
+    applySuggestion,
+    updateCardio,
+    updateCardioZone,
+    getProgressionRule,
+    setProgressionRule,
+    oneRepMaxFormula
+  } = useWorkoutStore();
+  const { getRestDuration, setRestDuration, startRest, getElapsedRest } = useRestTimer();
+
+  const progressionRule = getProgressionRule(workout);
+  const { previous, suggestion, stalled } = useMemo(
+    () => getProgression(workouts, workout, progressionRule, { formula: oneRepMaxFormula }),
+    [workouts, workout, progressionRule, oneRepMaxFormula]
+  );
+  const isCardio = isCardioWorkout(workout);
+  const cardio = isCardio ? getCardio(workout) : null;
+  const canApplySuggestion = suggestion && workout.sets.some(set => set.weight === null && set.reps === null);
+
+  // Logging a set records the rest taken since the previous one and starts the next rest
+  const logSet = () => {
+    incrementSets(workout.id, getElapsedRest(workout.id));
+    startRest(workout);
+  };
+
+  return (
+    <div 
+      className={`bg-slate-50 border border-slate-200 p-3 rounded-lg transition-all duration-200 ${
+        isRemoving ? 'opacity-0 scale-95' : 'opacity-100 scale-100'
+      }`}
+    >
+      <div className="flex items-start justify-between mb-2">
+        <div className="flex items-center space-x-3 flex-1 min-w-0">
+          <div className="w-10 h-10 bg-orange-100 border border-orange-200 rounded-lg flex items-center justify-center text-orange-600 flex-shrink-0">
+            <MuscleIcon type={workout.bodyPart.icon} size={20} />
+          </div>
+          <div className="min-w-0 flex-1">
+            <div className="font-medium text-slate-800 truncate">{workout.exercise ? workout.exercise.name : workout.bodyPart.name}</div>
+            <div className="text-sm text-slate-500">
+              {workout.exercise && <span className="mr-2">{workout.bodyPart.name} ·</span>}
+              {new Date(workout.timestamp).toLocaleTimeString([], {hour: '2-digit', minute:'2-digit'})}
+              {isCardio && (
+                <span className="ml-2 text-slate-600">
+                  · {getActivityLabel(cardio.activity)}{formatCardioSummary(cardio) && ` · ${formatCardioSummary(cardio)}`}
+                </span>
+              )}
+              {(() => {
+                const topSet = getTopSet(workout);
+                if (!topSet) return null;
+                return (
+                  <span className="ml-2 text-slate-600">
+                    · Top: {topSet.weight}kg{topSet.reps !== null ? ` × ${topSet.reps}` : ''}
+                  </span>
+                );
+              })()}
+            </div>
+          </div>
+        </div>
+        
+        <button 
+          onClick={onToggleExpand}
+          className="p-1.5 text-slate-400 hover:text-slate-600 hover:bg-slate-100 rounded-lg transition-colors flex-shrink-0 ml-2"
+          title={isExpanded ? 'Hide details' : 'Edit details'}
+        >
+          <ChevronDown className={`w-4 h-4 transition-transform duration-200 ${isExpanded ? 'rotate-180' : ''}`} />
+        </button>
+        
+        <button 
+          onClick={onRemove}
+          className="p-1.5 text-red-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors flex-shrink-0 ml-2"
+          title="Remove workout"
+        >
+          <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+            <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+          </svg>
+        </button>
+      </div>
+      
+      {records.length > 0 && (
+        <div className="mb-3 px-3 py-2 bg-amber-50 border border-amber-200 rounded-lg text-sm text-amber-800">
+          <div className="flex items-center font-semibold mb-0.5">
+            <Trophy className="w-4 h-4 mr-1.5 flex-shrink-0" />
+            New personal {records.length === 1 ? 'record' : 'records'}!
+          </div>
+          {records.map(record => (
+            <div key={record.type} className="pl-5">{formatRecord(record)}</div>
+          ))}
+        </div>
+      )}
+
+      {previous && !isCardio && (
+        <div className="mb-3 px-3 py-2 bg-white border border-slate-200 rounded-lg text-sm space-y-1">
+          <div className="text-slate-500">
+            Last time, {previous.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}:{' '}
+            <span className="font-medium text-slate-700">{formatSetSummary(previous.sets)}</span>
+          </div>
+          {suggestion && (
+            <div className="flex items-center justify-between">
+              <div className="flex items-center text-orange-700 min-w-0">
+                <TrendingUp className="w-4 h-4 mr-1.5 flex-shrink-0" />
+                <span className="font-medium">Try {suggestion.weight}kg × {suggestion.reps}</span>
+                <span className="ml-2 text-xs text-slate-500 truncate">{suggestion.reason}</span>
+              </div>
+              {canApplySuggestion && (
+                <button
+                  onClick={() => applySuggestion(workout.id, suggestion)}
+                  className="ml-2 font-medium text-orange-600 hover:text-orange-700 flex-shrink-0"
+                  title="Fill empty sets with this weight and reps"
+                >
+                  Apply
+                </button>
+              )}
+            </div>
+          )}
+          {stalled && (
+            <div className="flex items-center text-amber-700">
+              <AlertTriangle className="w-4 h-4 mr-1.5 flex-shrink-0" />
+              <span>No progress in {STALL_SESSIONS} sessions. Consider a deload or a variation.</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {isCardio ? (
+        <CardioForm
+          cardio={cardio}
+          onUpdate={(field, value) => updateCardio(workout.id, field, value)}
+          onUpdateZone={(zoneIndex, value) => updateCardioZone(workout.id, zoneIndex, value)}
+        />
+      ) : (
+        <div className="flex justify-center">
+          <div className="flex items-center bg-white border border-slate-200 rounded-lg">
+            <button 
+              onClick={() => decrementSets(workout.id)}
+              className="p-3 text-slate-400 hover:text-slate-600 hover:bg-slate-50 rounded-l-lg transition-colors"
+              disabled={workout.sets.length <= 1}
+            >
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M3 10a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1z" clipRule="evenodd" />
+              </svg>
+            </button>
+            <div className="px-6 py-3 text-sm font-medium text-slate-700 min-w-[100px] text-center border-x border-slate-200">
+              {workout.sets.length} {workout.sets.length === 1 ? 'set' : 'sets'}
+            </div>
+            <button 
+              onClick={logSet}
+              className="p-3 text-slate-400 hover:text-slate-600 hover:bg-slate-50 rounded-r-lg transition-colors"
+            >
+              <svg className="w-4 h-4" fill="currentColor" viewBox="0 0 20 20">
+                <path fillRule="evenodd" d="M10 3a1 1 0 011 1v5h5a1 1 0 110 2h-5v5a1 1 0 11-2 0v-5H4a1 1 0 110-2h5V4a1 1 0 011-1z" clipRule="evenodd" />
+              </svg>
+            </button>
+          </div>
+        </div>
+      )}
+      
+      {isExpanded && !isCardio && (
+        <SetTable
+          sets={workout.sets}
+          onUpdateSet={(setIndex, field, value) => updateSet(workout.id, setIndex, field, value)}
+          onRemoveSet={onRemoveSet}
+          onAddSet={logSet}
+        />
+      )}
+      
+      {isExpanded && (
+        <div className="mt-3 flex flex-wrap items-center justify-end gap-2 text-sm text-slate-600">
+          {!isCardio && (
+            <>
+              <label htmlFor={`rest-${workout.id}`}>Rest</label>
+              <select
+                id={`rest-${workout.id}`}
+                value={getRestDuration(workout)}
+                onChange={(e) => setRestDuration(workout, Number(e.target.value))}
+                className="bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+              >
+                {REST_OPTIONS.map(seconds => (
+                  <option key={seconds} value={seconds}>{formatRestTime(seconds)}</option>
+                ))}
+              </select>
+              <label htmlFor={`progression-${workout.id}`} className="pl-2">Progression</label>
+              <select
+                id={`progression-${workout.id}`}
+                value={progressionRule}
+                onChange={(e) => setProgressionRule(workout, e.target.value)}
+                title={PROGRESSION_RULES.find(rule => rule.id === progressionRule).description}
+                className="bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+              >
+                {PROGRESSION_RULES.map(rule => (
+                  <option key={rule.id} value={rule.id}>{rule.label}</option>
+                ))}
+              </select>
+            </>
+          )}
+          <label htmlFor={`move-${workout.id}`} className="pl-2">Logged on</label>
+          <input
+            id={`move-${workout.id}`}
+            type="date"
+            value={toDateInputValue(new Date(workout.date))}
+            max={toDateInputValue(today)}
+            onChange={(e) => {
+              const date = fromDateInputValue(e.target.value);
+              if (date) onMove(date);
+            }}
+            className="bg-white border border-slate-200 rounded-md px-2 py-1 text-sm text-slate-700 focus:outline-none focus:ring-2 focus:ring-orange-300 focus:border-orange-300"
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkoutCard;
@@ -0,0 +1,14 @@
+// The muscle groups every workout is filed under, in display order
+const bodyParts = [
+  { icon: 'biceps', name: 'Biceps', emoji: '💪' },
+  { icon: 'triceps', name: 'Triceps', emoji: '🔥' },
+  { icon: 'legs', name: 'Legs', emoji: '🦵' },
+  { icon: 'cardio', name: 'Cardio', emoji: '🫀' },
+  { icon: 'back', name: 'Back', emoji: '🏋️' },
+  { icon: 'chest', name: 'Chest', emoji: '🍈' },
+  { icon: 'glutes', name: 'Glutes', emoji: '🦴' },
+  { icon: 'shoulders', name: 'Shoulders', emoji: '🤲' },
+  { icon: 'abs', name: 'Abs', emoji: '🍫' }
+];
+
+export default bodyParts;
@@ -0,0 +1,81 @@
+// Built-in exercise library. `primary` is the muscle group a logged set is
+// filed under; `secondary` groups also receive partial credit in the
+// analysis view for compound movements.
+const exerciseCatalog = [
+  // Chest
+  { id: 'bench-press', name: 'Bench Press', primary: 'Chest', secondary: ['Triceps', 'Shoulders'] },
+  { id: 'incline-bench-press', name: 'Incline Bench Press', primary: 'Chest', secondary: ['Shoulders', 'Triceps'] },
+  { id: 'incline-dumbbell-press', name: 'Incline Dumbbell Press', primary: 'Chest', secondary: ['Shoulders', 'Triceps'] },
+  { id: 'dumbbell-bench-press', name: 'Dumbbell Bench Press', primary: 'Chest', secondary: ['Triceps', 'Shoulders'] },
+  { id: 'chest-fly', name: 'Chest Fly', primary: 'Chest', secondary: [] },
+  { id: 'cable-crossover', name: 'Cable Crossover', primary: 'Chest', secondary: [] },
+  { id: 'push-up', name: 'Push-Up', primary: 'Chest', secondary: ['Triceps', 'Shoulders'] },
+  { id: 'chest-dip', name: 'Chest Dip', primary: 'Chest', secondary: ['Triceps'] },
+
+  // Back
+  { id: 'deadlift', name: 'Deadlift', primary: 'Back', secondary: ['Legs', 'Glutes'] },
+  { id: 'pull-up', name: 'Pull-Up', primary: 'Back', secondary: ['Biceps'] },
+  { id: 'chin-up', name: 'Chin-Up', primary: 'Back', secondary: ['Biceps'] },
+  { id: 'lat-pulldown', name: 'Lat Pulldown', primary: 'Back', secondary: ['Biceps'] },
+  { id: 'barbell-row', name: 'Barbell Row', primary: 'Back', secondary: ['Biceps'] },
+  { id: 'dumbbell-row', name: 'Dumbbell Row', primary: 'Back', secondary: ['Biceps'] },
+  { id: 'seated-cable-row', name: 'Seated Cable Row', primary: 'Back', secondary: ['Biceps'] },
+  { id: 'face-pull', name: 'Face Pull', primary: 'Back', secondary: ['Shoulders'] },
+
+  // Shoulders
+  { id: 'overhead-press', name: 'Overhead Press', primary: 'Shoulders', secondary: ['Triceps'] },
+  { id: 'dumbbell-shoulder-press', name: 'Dumbbell Shoulder Press', primary: 'Shoulders', secondary: ['Triceps'] },
+  { id: 'lateral-raise', name: 'Lateral Raise', primary: 'Shoulders', secondary: [] },
+  { id: 'front-raise', name: 'Front Raise', primary: 'Shoulders', secondary: [] },
+  { id: 'rear-delt-fly', name: 'Rear Delt Fly', primary: 'Shoulders', secondary: ['Back'] },
+  { id: 'upright-row', name: 'Upright Row', primary: 'Shoulders', secondary: ['Biceps'] },
+
+  // Biceps
+  { id: 'barbell-curl', name: 'Barbell Curl', primary: 'Biceps', secondary: [] },
+  { id: 'dumbbell-curl', name: 'Dumbbell Curl', primary: 'Biceps', secondary: [] },
+  { id: 'hammer-curl', name: 'Hammer Curl', primary: 'Biceps', secondary: [] },
+  { id: 'preacher-curl', name: 'Preacher Curl', primary: 'Biceps', secondary: [] },
+  { id: 'cable-curl', name: 'Cable Curl', primary: 'Biceps', secondary: [] },
+
+  // Triceps
+  { id: 'triceps-pushdown', name: 'Triceps Pushdown', primary: 'Triceps', secondary: [] },
+  { id: 'skull-crusher', name: 'Skull Crusher', primary: 'Triceps', secondary: [] },
+  { id: 'overhead-triceps-extension', name: 'Overhead Triceps Extension', primary: 'Triceps', secondary: [] },
+  { id: 'close-grip-bench-press', name: 'Close-Grip Bench Press', primary: 'Triceps', secondary: ['Chest', 'Shoulders'] },
+  { id: 'bench-dip', name: 'Bench Dip', primary: 'Triceps', secondary: ['Chest'] },
+
+  // Legs
+  { id: 'back-squat', name: 'Back Squat', primary: 'Legs', secondary: ['Glutes', 'Back'] },
+  { id: 'front-squat', name: 'Front Squat', primary: 'Legs', secondary: ['Glutes', 'Abs'] },
+  { id: 'leg-press', name: 'Leg Press', primary: 'Legs', secondary: ['Glutes'] },
+  { id: 'romanian-deadlift', name: 'Romanian Deadlift', primary: 'Legs', secondary: ['Glutes', 'Back'] },
+  { id: 'walking-lunge', name: 'Walking Lunge', primary: 'Legs', secondary: ['Glutes'] },
+  { id: 'bulgarian-split-squat', name: 'Bulgarian Split Squat', primary: 'Legs', secondary: ['Glutes'] },
+  { id: 'leg-extension', name: 'Leg Extension', primary: 'Legs', secondary: [] },
+  { id: 'leg-curl', name: 'Leg Curl', primary: 'Legs', secondary: [] },
+  { id: 'calf-raise', name: 'Calf Raise', primary: 'Legs', secondary: [] },
+
+  // Glutes
+  { id: 'hip-thrust', name: 'Hip Thrust', primary: 'Glutes', secondary: ['Legs'] },
+  { id: 'glute-bridge', name: 'Glute Bridge', primary: 'Glutes', secondary: ['Legs'] },
+  { id: 'cable-kickback', name: 'Cable Kickback', primary: 'Glutes', secondary: [] },
+  { id: 'hip-abduction', name: 'Hip Abduction', primary: 'Glutes', secondary: [] },
+
+  // Abs
+  { id: 'plank', name: 'Plank', primary: 'Abs', secondary: [] },
+  { id: 'crunch', name: 'Crunch', primary: 'Abs', secondary: [] },
+  { id: 'hanging-leg-raise', name: 'Hanging Leg Raise', primary: 'Abs', secondary: [] },
+  { id: 'cable-crunch', name: 'Cable Crunch', primary: 'Abs', secondary: [] },
+  { id: 'ab-wheel-rollout', name: 'Ab Wheel Rollout', primary: 'Abs', secondary: ['Shoulders'] },
+  { id: 'russian-twist', name: 'Russian Twist', primary: 'Abs', secondary: [] },
+
+  // Cardio
+  { id: 'running', name: 'Running', primary: 'Cardio', secondary: [] },
+  { id: 'cycling', name: 'Cycling', primary: 'Cardio', secondary: [] },
+  { id: 'rowing-machine', name: 'Rowing Machine', primary: 'Cardio', secondary: ['Back'] },
+  { id: 'stair-climber', name: 'Stair Climber', primary: 'Cardio', secondary: ['Legs'] },
+  { id: 'jump-rope', name: 'Jump Rope', primary: 'Cardio', secondary: [] },
+  { id: 'elliptical', name: 'Elliptical', primary: 'Cardio', secondary: [] }
+];
+
+export default exerciseCatalog;
@@ -0,0 +1,35 @@
+import { useState, useCallback, useRef } from 'react';
+import { getMetaValue, putMetaValue } from '../utils/database';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// A setting kept under `key` in the meta store. Returns [value, setValue, load]
+// like useState, plus `load` for the owner to call once on mount. Stored
+// objects are merged over the default, so settings added later get their
+// default value. Changes are written straight away; a failed write is logged
+// and the new value is kept for this visit.
+const usePersistedSetting = (key, defaultValue) => {
+  const initialValue = useRef(defaultValue).current;
+  const [value, setValue] = useState(initialValue);
+
+  const load = useCallback(async () => {
+    try {
+      const stored = await getMetaValue(key);
+      if (stored === undefined || stored === null) return;
+      setValue(isPlainObject(initialValue) ? { ...initialValue, ...stored } : stored);
+    } catch (error) {
+      console.error(`Failed to load setting ${key}:`, error);
+    }
+  }, [key, initialValue]);
+
+  const save = useCallback((next) => {
+    setValue(next);
+    putMetaValue(key, next).catch(error => {
+      console.error(`Failed to save setting ${key}:`, error);
+    });
+  }, [key]);
+
+  return [value, save, load];
+};
+
+export default usePersistedSetting;
@@ -0,0 +1,76 @@
+import { useState, useCallback } from 'react';
+
+const HISTORY_LIMIT = 100;
+const MERGE_WINDOW_MS = 1500;
+
+// State with an undo/redo history. Every `update` is an action that can be
+// undone; redo stays available until the next new action clears it.
+// Rapid updates sharing a `mergeKey` (e.g. typing into one input) collapse
+// into a single history entry.
+const useUndoableState = (initialState) => {
+  const [history, setHistory] = useState({ past: [], present: initialState, future: [] });
+
+  const update = useCallback((updater, { label = 'Edit', mergeKey = null } = {}) => {
+    setHistory(current => {
+      const next = typeof updater === 'function' ? updater(current.present) : updater;
+      if (next === current.present) return current;
+
+      const now = Date.now();
+      const last = current.past[current.past.length - 1];
+      if (mergeKey && last && last.mergeKey === mergeKey && now - last.time < MERGE_WINDOW_MS) {
+        return {
+          past: [...current.past.slice(0, -1), { ...last, time: now }],
+          present: next,
+          future: []
+        };
+      }
+
+      return {
+        past: [...current.past, { state: current.present, label, mergeKey, time: now }].slice(-HISTORY_LIMIT),
+        present: next,
+        future: []
+      };
+    });
+  }, []);
+
+  // Replace the state without recording an action (e.g. loading from storage)
+  const reset = useCallback((value) => {
+    setHistory({ past: [], present: value, future: [] });
+  }, []);
+
+  const undo = useCallback(() => {
+    setHistory(current => {
+      if (current.past.length === 0) return current;
+      const entry = current.past[current.past.length - 1];
+      return {
+        past: current.past.slice(0, -1),
+        present: entry.state,
+        future: [{ ...entry, state: current.present }, ...current.future]
+      };
+    });
+  }, []);
+
+  const redo = useCallback(() => {
+    setHistory(current => {
+      if (current.future.length === 0) return current;
+      const [entry, ...future] = current.future;
+      return {
+        past: [...current.past, { ...entry, state: current.present }],
+        present: entry.state,
+        future
+      };
+    });
+  }, []);
+
+  return {
+    state: history.present,
+    update,
+    reset,
+    undo,
+    redo,
+    undoLabel: history.past.length > 0 ? history.past[history.past.length - 1].label : null,
+    redoLabel: history.future.length > 0 ? history.future[0].label : null
+  };
+};
+
+export default useUndoableState;
@@ -0,0 +1,90 @@
+import { startOfDay, getStartOfWeek } from './workoutSelectors';
+import { getSetCount } from '../utils/workoutRecords';
+import { ACHIEVEMENTS } from '../utils/achievements';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Training days oldest first: [{ date, workouts }]
+const getTrainingDays = (workouts) => {
+  const days = new Map();
+  workouts.forEach(workout => {
+    const date = new Date(workout.date);
+    if (isNaN(date.getTime())) return;
+    const day = startOfDay(date).getTime();
+    if (!days.has(day)) days.set(day, []);
+    days.get(day).push(workout);
+  });
+  return [...days.keys()]
+    .sort((a, b) => a - b)
+    .map(day => ({ date: new Date(day), workouts: days.get(day) }));
+};
+
+// Each metric replays the training days and returns its value after each one,
+// in the same order. Values never go down, so the first day that reaches a
+// goal is the unlock date.
+const METRICS = {
+  trainingDays: (days) => days.map((_, index) => index + 1),
+
+  lifetimeSets: (days) => {
+    let total = 0;
+    return days.map(day => {
+      total += day.workouts.reduce((sum, workout) => sum + getSetCount(workout), 0);
+      return total;
+    });
+  },
+
+  // Longest run of consecutive calendar days so far
+  dayStreak: (days) => {
+    let run = 0;
+    let longest = 0;
+    return days.map((day, index) => {
+      const gap = index === 0 ? Infinity : Math.round((day.date - days[index - 1].date) / DAY_MS);
+      run = gap === 1 ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      return longest;
+    });
+  },
+
+  // Most distinct muscle groups trained in one Monday-to-Sunday week so far
+  groupsInWeek: (days) => {
+    const weeks = new Map(); // week ms -> Set of group names
+    let best = 0;
+    return days.map(day => {
+      const week = getStartOfWeek(day.date).getTime();
+      if (!weeks.has(week)) weeks.set(week, new Set());
+      day.workouts.forEach(workout => weeks.get(week).add(workout.bodyPart.name));
+      best = Math.max(best, weeks.get(week).size);
+      return best;
+    });
+  },
+
+  // Days with an entry logged before `rule.beforeHour` local time
+  earlyDays: (days, rule) => {
+    let count = 0;
+    return days.map(day => {
+      const isEarly = day.workouts.some(workout => new Date(workout.timestamp).getHours() < rule.beforeHour);
+      if (isEarly) count += 1;
+      return count;
+    });
+  }
+};
+
+// Every rule with its resolved goal, current value and the day it unlocked
+// (null while locked)
+export const getAchievements = (workouts, bodyParts, rules = ACHIEVEMENTS) => {
+  const days = getTrainingDays(workouts);
+
+  return rules.map(rule => {
+    const goal = rule.goal === 'all' ? bodyParts.length : rule.goal;
+    const values = METRICS[rule.metric](days, rule);
+    const unlockIndex = values.findIndex(value => value >= goal);
+    const value = values.length > 0 ? values[values.length - 1] : 0;
+
+    return {
+      ...rule,
+      goal,
+      value: Math.min(value, goal),
+      unlockedAt: unlockIndex === -1 ? null : days[unlockIndex].date
+    };
+  });
+};
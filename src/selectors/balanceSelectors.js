@@ -0,0 +1,82 @@
+import { startOfDay, addDays, filterWorkoutsInRange } from './workoutSelectors';
+import { countCreditedSetsByMuscle } from './statsSelectors';
+import { BALANCE_RATIOS, MIN_RATIO_SETS, formatRatio } from '../utils/balance';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days since each group was last trained, directly or as a secondary muscle
+// of a compound lift: [{ part, lastTrained, days }] in `bodyParts` order.
+// `lastTrained` and `days` are null for groups never trained.
+export const getDaysSinceTrained = (workouts, bodyParts, today) => {
+  const lastTrained = {};
+  workouts.forEach(workout => {
+    const date = new Date(workout.date);
+    if (isNaN(date.getTime()) || date > today) return;
+    const day = startOfDay(date).getTime();
+    [workout.bodyPart.name, ...(workout.exercise?.secondary || [])].forEach(name => {
+      lastTrained[name] = Math.max(lastTrained[name] || 0, day);
+    });
+  });
+
+  return bodyParts.map(part => {
+    const last = lastTrained[part.name];
+    return {
+      part,
+      lastTrained: last ? new Date(last) : null,
+      days: last ? Math.round((startOfDay(today) - last) / DAY_MS) : null
+    };
+  });
+};
+
+// Credited sets on each side of every BALANCE_RATIOS entry over the last
+// `settings.windowDays`. `isImbalanced` needs MIN_RATIO_SETS in total;
+// `heavier` is 'first', 'second' or null when even.
+export const getBalanceRatios = (workouts, bodyParts, today, settings) => {
+  const start = addDays(startOfDay(today), -(settings.windowDays - 1));
+  const end = new Date(startOfDay(today));
+  end.setHours(23, 59, 59, 999);
+  const counts = countCreditedSetsByMuscle(filterWorkoutsInRange(workouts, start, end), bodyParts);
+  const sumSets = (groups) => groups.reduce((sum, name) => sum + (counts[name] || 0), 0);
+
+  return BALANCE_RATIOS.map(ratio => {
+    const firstSets = sumSets(ratio.first.groups);
+    const secondSets = sumSets(ratio.second.groups);
+    const larger = Math.max(firstSets, secondSets);
+    const smaller = Math.min(firstSets, secondSets);
+    const hasEnoughSets = firstSets + secondSets >= MIN_RATIO_SETS;
+
+    return {
+      ...ratio,
+      firstSets,
+      secondSets,
+      label: formatRatio(firstSets, secondSets),
+      heavier: firstSets === secondSets ? null : (firstSets > secondSets ? 'first' : 'second'),
+      isImbalanced: hasEnoughSets && (smaller === 0 || larger / smaller > settings.maxRatio)
+    };
+  });
+};
+
+// Actionable warnings, most pressing first: groups trained before but not
+// for `settings.neglectDays` (longest gap first), then imbalanced ratios.
+// [{ id, message }]
+export const getBalanceWarnings = (workouts, bodyParts, today, settings) => {
+  const neglected = getDaysSinceTrained(workouts, bodyParts, today)
+    .filter(entry => entry.days !== null && entry.days >= settings.neglectDays)
+    .sort((a, b) => b.days - a.days)
+    .map(entry => ({
+      id: `neglect:${entry.part.name}`,
+      message: `${entry.part.name} not trained in ${entry.days} days`
+    }));
+
+  const imbalanced = getBalanceRatios(workouts, bodyParts, today, settings)
+    .filter(ratio => ratio.isImbalanced)
+    .map(ratio => {
+      const lighter = ratio.heavier === 'first' ? ratio.second : ratio.first;
+      return {
+        id: `ratio:${ratio.id}`,
+        message: `${ratio.first.label}:${ratio.second.label} is ${ratio.label}, add ${lighter.label.toLowerCase()} work (${lighter.groups.join(', ')})`
+      };
+    });
+
+  return [...neglected, ...imbalanced];
+};
@@ -0,0 +1,58 @@
+import { startOfDay, addDays } from './workoutSelectors';
+import { getRangeStart } from './chartSelectors';
+import { MOVING_AVERAGE_DAYS } from '../utils/bodyMetrics';
+
+// Entries with a value for `metricId`, oldest first
+const getMeasured = (entries, metricId) => {
+  return entries
+    .filter(entry => entry[metricId] !== null && entry[metricId] !== undefined && !isNaN(new Date(entry.date).getTime()))
+    .map(entry => ({ date: startOfDay(new Date(entry.date)), value: entry[metricId] }))
+    .sort((a, b) => a.date - b.date);
+};
+
+// Entry for a day, if one was logged
+export const getBodyEntryOnDay = (entries, day) => {
+  const target = startOfDay(day).getTime();
+  return entries.find(entry => startOfDay(new Date(entry.date)).getTime() === target) || null;
+};
+
+// [{ date, value, average }] oldest first within a chart range. `average` is
+// the mean of the measurements in the MOVING_AVERAGE_DAYS ending on that day,
+// including ones from before the range start.
+export const getBodyMetricSeries = (entries, metricId, { rangeId, today }) => {
+  const measured = getMeasured(entries, metricId);
+  const start = getRangeStart(rangeId, today, measured);
+
+  return measured
+    .map((point, index) => {
+      const windowStart = addDays(point.date, -(MOVING_AVERAGE_DAYS - 1));
+      const window = measured.slice(0, index + 1).filter(previous => previous.date >= windowStart);
+      const average = window.reduce((sum, previous) => sum + previous.value, 0) / window.length;
+      return { ...point, average: Math.round(average * 10) / 10 };
+    })
+    .filter(point => point.date >= start && point.date <= today);
+};
+
+// Most recent measurement on or before `date`: { date, value } or null
+export const getLatestBodyMetric = (entries, metricId, date) => {
+  const measured = getMeasured(entries, metricId).filter(point => point.date <= date);
+  return measured.length > 0 ? measured[measured.length - 1] : null;
+};
+
+// Best estimated 1RMs from getRecordBoard as multiples of bodyweight, using
+// the latest bodyweight on or before `today`. Empty without a bodyweight.
+export const getRelativeStrength = (records, entries, today) => {
+  const bodyweight = getLatestBodyMetric(entries, 'weight', today);
+  if (!bodyweight) return [];
+
+  return records
+    .filter(record => record.e1rm)
+    .map(record => ({
+      key: record.key,
+      label: record.label,
+      bodyPart: record.bodyPart,
+      e1rm: record.e1rm.value,
+      multiple: record.e1rm.value / bodyweight.value
+    }))
+    .sort((a, b) => b.multiple - a.multiple);
+};
@@ -0,0 +1,42 @@
+import { addDays, getStartOfWeek, filterWorkoutsInRange } from './workoutSelectors';
+import { getRangeStart } from './chartSelectors';
+import { HEART_RATE_ZONES, isCardioWorkout, getCardio, sumCardio } from '../utils/cardio';
+
+// Totals for the cardio entries in a range: { minutes, distanceKm, count,
+// pace, zoneMinutes }. `pace` only counts entries with both duration and
+// distance; `zoneMinutes` sums the entries that logged zones, or is null
+// when none did.
+export const getCardioSummary = (workouts, start, end) => {
+  const entries = filterWorkoutsInRange(workouts, start, end).filter(isCardioWorkout);
+  const cardios = entries.map(getCardio);
+
+  const paced = cardios.filter(cardio => cardio.durationMinutes && cardio.distanceKm);
+  const pacedMinutes = paced.reduce((sum, cardio) => sum + cardio.durationMinutes, 0);
+  const pacedKm = paced.reduce((sum, cardio) => sum + cardio.distanceKm, 0);
+
+  const zoned = cardios.filter(cardio => cardio.zoneMinutes);
+  const zoneMinutes = zoned.length > 0
+    ? HEART_RATE_ZONES.map((_, index) => zoned.reduce((sum, cardio) => sum + (cardio.zoneMinutes[index] || 0), 0))
+    : null;
+
+  return {
+    ...sumCardio(entries),
+    pace: pacedKm > 0 ? pacedMinutes / pacedKm : null,
+    zoneMinutes
+  };
+};
+
+// [{ date, value }] cardio minutes per week, oldest first, for LineChart
+export const getWeeklyCardioSeries = (workouts, { rangeId, today }) => {
+  const cardioWorkouts = workouts.filter(isCardioWorkout);
+  const start = getRangeStart(rangeId, today, cardioWorkouts);
+  const end = new Date(today);
+  end.setHours(23, 59, 59, 999);
+
+  const series = [];
+  for (let week = getStartOfWeek(start); week <= end; week = addDays(week, 7)) {
+    const weekEnd = new Date(addDays(week, 7).getTime() - 1);
+    series.push({ date: week, value: sumCardio(filterWorkoutsInRange(cardioWorkouts, week, weekEnd)).minutes });
+  }
+  return series;
+};
@@ -0,0 +1,88 @@
+import { startOfDay, addDays, getStartOfWeek, filterWorkoutsInRange, countSets } from './workoutSelectors';
+import { getExerciseKey, normalizeWorkout } from '../utils/workoutRecords';
+import { estimateOneRepMax } from '../utils/records';
+
+// Series for the progress charts. Set counts are bucketed by week; load
+// metrics get one point per day the exercise was trained.
+
+export const CHART_METRICS = [
+  { id: 'sets', label: 'Sets / week', unit: 'sets' },
+  { id: 'topSet', label: 'Top set', unit: 'kg' },
+  { id: 'e1rm', label: 'Est. 1RM', unit: 'kg' },
+  { id: 'volume', label: 'Volume', unit: 'kg' }
+];
+
+export const CHART_RANGES = [
+  { id: '4w', label: '4W', days: 28 },
+  { id: '3m', label: '3M', days: 91 },
+  { id: '1y', label: '1Y', days: 365 },
+  { id: 'all', label: 'All', days: null }
+];
+
+// First day covered by a range; "all" starts at the earliest entry
+export const getRangeStart = (rangeId, today, workouts) => {
+  const range = CHART_RANGES.find(r => r.id === rangeId);
+  if (range.days) return addDays(today, -(range.days - 1));
+
+  const dates = workouts.map(workout => new Date(workout.date).getTime()).filter(time => !isNaN(time));
+  return dates.length > 0 ? startOfDay(new Date(Math.min(...dates))) : today;
+};
+
+// Exercises logged for a muscle group, for the chart's exercise filter
+export const getLoggedExercises = (workouts, bodyPartName) => {
+  const exercises = new Map();
+  workouts
+    .filter(workout => workout.bodyPart.name === bodyPartName)
+    .forEach(workout => {
+      exercises.set(getExerciseKey(workout), workout.exercise ? workout.exercise.name : `General ${bodyPartName}`);
+    });
+  return [...exercises.entries()]
+    .map(([key, label]) => ({ key, label }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+};
+
+const getDayValue = (metric, sets, formula) => {
+  const completed = sets.filter(set => set.weight !== null && set.reps !== null && set.reps > 0);
+  if (completed.length === 0) return null;
+
+  if (metric === 'topSet') return Math.max(...completed.map(set => set.weight));
+  if (metric === 'e1rm') return Math.max(...completed.map(set => estimateOneRepMax(set.weight, set.reps, formula)));
+  return completed.reduce((sum, set) => sum + set.weight * set.reps, 0);
+};
+
+// [{ date, value }] oldest first for one muscle group, optionally narrowed
+// to one exercise key
+export const getMetricSeries = (workouts, { bodyPartName, exerciseKey = null, metric, rangeId, today, formula }) => {
+  const matching = workouts.filter(workout =>
+    workout.bodyPart.name === bodyPartName && (!exerciseKey || getExerciseKey(workout) === exerciseKey)
+  );
+  const start = getRangeStart(rangeId, today, matching);
+  const end = new Date(today);
+  end.setHours(23, 59, 59, 999);
+  const inRange = filterWorkoutsInRange(matching, start, end);
+
+  if (metric === 'sets') {
+    const series = [];
+    for (let week = getStartOfWeek(start); week <= end; week = addDays(week, 7)) {
+      const weekEnd = addDays(week, 7);
+      const weekWorkouts = inRange.filter(workout => {
+        const date = new Date(workout.date);
+        return date >= week && date < weekEnd;
+      });
+      series.push({ date: week, value: countSets(weekWorkouts) });
+    }
+    return series;
+  }
+
+  const byDay = new Map();
+  inRange.forEach(workout => {
+    const day = startOfDay(new Date(workout.date)).getTime();
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(...normalizeWorkout(workout).sets);
+  });
+
+  return [...byDay.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([day, sets]) => ({ date: new Date(day), value: getDayValue(metric, sets, formula) }))
+    .filter(point => point.value !== null);
+};
@@ -0,0 +1,53 @@
+import { filterWorkoutsOnDay, countSets, addDays } from './workoutSelectors';
+import { getProgramOccurrences, getOccurrenceOn, applyDeload, MISSED_LOOKBACK_DAYS } from '../utils/programs';
+
+export const getActiveProgram = (programs) => programs.find(program => program.active) || null;
+
+// Template to run for an occurrence, with deload volume applied
+export const getOccurrenceTemplate = (occurrence, templates) => {
+  const template = templates.find(t => t.id === occurrence.templateId);
+  if (!template) return null;
+  return occurrence.isDeload ? applyDeload(template) : template;
+};
+
+// Planned vs completed for one calendar day. A scheduled day counts as done
+// once anything is logged on it. Returns null when nothing is scheduled.
+export const getScheduledDay = (program, templates, workouts, date, today) => {
+  if (!program) return null;
+  const occurrence = getOccurrenceOn(program, date);
+  if (!occurrence) return null;
+
+  const template = getOccurrenceTemplate(occurrence, templates);
+  const dayWorkouts = filterWorkoutsOnDay(workouts, date);
+
+  let status = 'planned';
+  if (dayWorkouts.length > 0) {
+    status = 'done';
+  } else if (occurrence.date < today) {
+    status = 'missed';
+  } else if (occurrence.date.getTime() === today.getTime()) {
+    status = 'today';
+  }
+
+  return {
+    occurrence,
+    template,
+    status,
+    plannedSets: template ? template.items.reduce((sum, item) => sum + item.targetSets, 0) : 0,
+    completedSets: countSets(dayWorkouts)
+  };
+};
+
+// Most recent scheduled session in the last week that nothing was logged for
+export const getLatestMissed = (program, workouts, today) => {
+  if (!program) return null;
+  const since = addDays(today, -MISSED_LOOKBACK_DAYS);
+
+  const missed = getProgramOccurrences(program).filter(occurrence =>
+    occurrence.date >= since &&
+    occurrence.date < today &&
+    filterWorkoutsOnDay(workouts, occurrence.date).length === 0
+  );
+
+  return missed.length > 0 ? missed[missed.length - 1] : null;
+};
@@ -0,0 +1,40 @@
+import { startOfDay } from './workoutSelectors';
+import { getExerciseKey, normalizeWorkout } from '../utils/workoutRecords';
+import { suggestProgression, isStalled, STALL_SESSIONS } from '../utils/progression';
+
+// Earlier days that trained the same exercise as `workout` (or the same
+// muscle group for general entries), oldest first. Entries logged on the
+// same day are merged into one session: [{ date, sets }].
+export const getExerciseHistory = (workouts, workout) => {
+  const key = getExerciseKey(workout);
+  const cutoff = startOfDay(new Date(workout.date)).getTime();
+  const byDay = new Map();
+
+  workouts
+    .filter(other => other.id !== workout.id && getExerciseKey(other) === key)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(other => {
+      const day = startOfDay(new Date(other.date)).getTime();
+      if (isNaN(day) || day >= cutoff) return;
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(...normalizeWorkout(other).sets);
+    });
+
+  return [...byDay.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([day, sets]) => ({ date: new Date(day), sets }));
+};
+
+// What the card shows: last session's sets, the next target and whether
+// progress has stalled. `previous` is null the first time an exercise is logged.
+// `formula` is the 1RM formula the stall check compares sessions with.
+export const getProgression = (workouts, workout, ruleId, { formula, stallSessions = STALL_SESSIONS } = {}) => {
+  const history = getExerciseHistory(workouts, workout);
+  const previous = history.length > 0 ? history[history.length - 1] : null;
+
+  return {
+    previous,
+    suggestion: previous ? suggestProgression(previous.sets, ruleId) : null,
+    stalled: isStalled(history, stallSessions, formula)
+  };
+};
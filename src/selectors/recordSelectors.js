@@ -0,0 +1,127 @@
+import { startOfDay } from './workoutSelectors';
+import { getExerciseKey, normalizeWorkout } from '../utils/workoutRecords';
+import { estimateOneRepMax } from '../utils/records';
+
+// Replays the history day by day and tracks, per exercise (or muscle group
+// for general entries), the heaviest set, best estimated 1RM, most reps at
+// each weight and best single-day volume.
+//
+// Returns { bests, events }. `bests` maps exercise key to the current
+// records; `events` lists, oldest first, each day that beat an earlier day's
+// record. The first day an exercise is logged only sets the baseline.
+export const getPersonalRecords = (workouts, formula) => {
+  const bests = {};
+  const events = [];
+
+  // Completed sets grouped by day, then by exercise key, in logged order
+  const days = new Map(); // day ms -> Map(key -> { workout, sets: [{ set, setIndex, workoutId }] })
+  workouts
+    .map(normalizeWorkout)
+    .filter(workout => !isNaN(new Date(workout.date).getTime()))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(workout => {
+      const day = startOfDay(new Date(workout.date)).getTime();
+      if (!days.has(day)) days.set(day, new Map());
+      const byKey = days.get(day);
+      const key = getExerciseKey(workout);
+      if (!byKey.has(key)) byKey.set(key, { workout, sets: [] });
+      workout.sets.forEach((set, setIndex) => {
+        if (set.weight === null || set.reps === null || set.reps <= 0) return;
+        byKey.get(key).sets.push({ set, setIndex, workoutId: workout.id });
+      });
+    });
+
+  [...days.keys()].sort((a, b) => a - b).forEach(day => {
+    const date = new Date(day);
+
+    days.get(day).forEach(({ workout, sets }, key) => {
+      if (sets.length === 0) return;
+      if (!bests[key]) {
+        bests[key] = {
+          key,
+          label: workout.exercise ? workout.exercise.name : workout.bodyPart.name,
+          bodyPart: workout.bodyPart.name,
+          weight: null,
+          e1rm: null,
+          volume: null,
+          repsByWeight: {}
+        };
+      }
+      const record = bests[key];
+
+      // Keep `entry` if it beats `previous`, noting an event when there was one to beat
+      const consider = (previous, entry, store) => {
+        if (previous && entry.value <= previous.value) return;
+        if (previous) events.push({ key, label: record.label, ...entry });
+        store(entry);
+      };
+      const toEntry = (type, value, { set, setIndex, workoutId }) => ({
+        type, value, weight: set.weight, reps: set.reps, date, workoutId, setIndex
+      });
+
+      // Heaviest set of the day, most reps on ties
+      const heaviest = sets.reduce((best, entry) =>
+        entry.set.weight > best.set.weight || (entry.set.weight === best.set.weight && entry.set.reps > best.set.reps) ? entry : best
+      );
+      consider(record.weight, toEntry('weight', heaviest.set.weight, heaviest), entry => { record.weight = entry; });
+
+      const withE1rm = sets.map(entry => ({ entry, e1rm: estimateOneRepMax(entry.set.weight, entry.set.reps, formula) }));
+      const strongest = withE1rm.reduce((best, item) => (item.e1rm > best.e1rm ? item : best));
+      consider(record.e1rm, toEntry('e1rm', strongest.e1rm, strongest.entry), entry => { record.e1rm = entry; });
+
+      // Most reps at each weight lifted that day
+      const mostReps = {};
+      sets.forEach(entry => {
+        const current = mostReps[entry.set.weight];
+        if (!current || entry.set.reps > current.set.reps) mostReps[entry.set.weight] = entry;
+      });
+      Object.values(mostReps).forEach(entry => {
+        consider(record.repsByWeight[entry.set.weight], toEntry('reps', entry.set.reps, entry), saved => {
+          record.repsByWeight[entry.set.weight] = saved;
+        });
+      });
+
+      const volume = sets.reduce((sum, { set }) => sum + set.weight * set.reps, 0);
+      if (volume > 0) {
+        const last = sets[sets.length - 1];
+        consider(record.volume, { ...toEntry('volume', volume, last), weight: null, reps: null, setIndex: null }, entry => {
+          record.volume = entry;
+        });
+      }
+    });
+  });
+
+  return { bests, events };
+};
+
+// Records a workout set, one per type (the last event of a type is the best),
+// for the celebration on its card
+export const getRecordsForWorkout = (events, workoutId) => {
+  const byType = {};
+  events
+    .filter(event => event.workoutId === workoutId)
+    .forEach(event => {
+      byType[event.type] = event;
+    });
+  return Object.values(byType);
+};
+
+// Records for the PR board, strongest lifts first
+export const getRecordBoard = (bests) => {
+  return Object.values(bests)
+    .filter(record => record.weight)
+    .sort((a, b) => (b.e1rm ? b.e1rm.value : 0) - (a.e1rm ? a.e1rm.value : 0));
+};
+
+// Best estimated 1RM among the exercises that train each muscle group
+export const getStrongestLiftByBodyPart = (bests) => {
+  const strongest = {};
+  Object.values(bests).forEach(record => {
+    if (!record.e1rm || record.e1rm.value <= 0) return;
+    const current = strongest[record.bodyPart];
+    if (!current || record.e1rm.value > current.e1rm.value) {
+      strongest[record.bodyPart] = record;
+    }
+  });
+  return strongest;
+};
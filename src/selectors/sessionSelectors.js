@@ -0,0 +1,22 @@
+import { filterWorkoutsOnDay, filterWorkoutsInRange, groupWorkoutsByDate } from './workoutSelectors';
+import { getSessionMinutes } from '../utils/sessions';
+
+// Sessions carry the same local-midnight `date` as workouts, so the workout
+// date selectors apply to them unchanged.
+
+export const getSessionsOnDay = (sessions, day) => filterWorkoutsOnDay(sessions, day);
+
+export const getSessionsInRange = (sessions, start, end) => filterWorkoutsInRange(sessions, start, end);
+
+export const getTotalSessionMinutes = (sessions, now = Date.now()) => {
+  return sessions.reduce((total, session) => total + getSessionMinutes(session, now), 0);
+};
+
+// Keyed by `toLocaleDateString()`, like groupWorkoutsByDate
+export const getSessionMinutesByDate = (sessions, now = Date.now()) => {
+  const minutes = {};
+  Object.entries(groupWorkoutsByDate(sessions)).forEach(([dateKey, daySessions]) => {
+    minutes[dateKey] = getTotalSessionMinutes(daySessions, now);
+  });
+  return minutes;
+};
@@ -0,0 +1,190 @@
+import { getSetCount, getExerciseKey, normalizeWorkout } from '../utils/workoutRecords';
+import { estimateOneRepMax } from '../utils/records';
+import { isCardioWorkout } from '../utils/cardio';
+import { XP_PER_SET, DEFAULT_XP_SETTINGS, getLevelProgress, getSetIntensity, applyDecay } from '../utils/xp';
+import { addDays, startOfDay, filterWorkoutsInRange } from './workoutSelectors';
+
+// Secondary muscles of a compound lift get half a set of credit per set
+export const SECONDARY_SET_CREDIT = 0.5;
+
+export const countSetsByBodyPart = (workouts, bodyParts) => {
+  const counts = {};
+  bodyParts.forEach(part => {
+    counts[part.name] = 0;
+  });
+
+  workouts.forEach(workout => {
+    if (counts[workout.bodyPart.name] !== undefined) {
+      counts[workout.bodyPart.name] += getSetCount(workout);
+    }
+  });
+
+  return counts;
+};
+
+// Like countSetsByBodyPart, but compound exercises also credit their secondary muscles
+export const countCreditedSetsByMuscle = (workouts, bodyParts) => {
+  const counts = countSetsByBodyPart(workouts, bodyParts);
+
+  workouts.forEach(workout => {
+    const secondary = workout.exercise?.secondary || [];
+    secondary.forEach(name => {
+      if (counts[name] !== undefined) {
+        counts[name] += getSetCount(workout) * SECONDARY_SET_CREDIT;
+      }
+    });
+  });
+
+  return counts;
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// XP per muscle group. Replays the history day by day so each set's load is
+// compared with the exercise's best estimated 1RM before that day, and so
+// decay can apply to the gaps between sessions and up to `today`.
+export const getMuscleXp = (workouts, bodyParts, { today, settings = DEFAULT_XP_SETTINGS, formula } = {}) => {
+  const xp = {};
+  const lastTrained = {};
+  bodyParts.forEach(part => {
+    xp[part.name] = 0;
+    lastTrained[part.name] = null;
+  });
+
+  // Cardio earns no XP: it has no sets to weigh
+  const days = new Map(); // day ms -> workouts logged that day
+  workouts
+    .filter(workout => !isCardioWorkout(workout))
+    .map(normalizeWorkout)
+    .filter(workout => !isNaN(new Date(workout.date).getTime()))
+    .forEach(workout => {
+      const day = startOfDay(new Date(workout.date)).getTime();
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(workout);
+    });
+
+  const daysBetween = (from, to) => Math.round((to - from) / DAY_MS);
+  const credit = (name, day, amount) => {
+    if (xp[name] === undefined) return;
+    if (settings.decay && lastTrained[name] !== null) {
+      xp[name] = applyDecay(xp[name], daysBetween(lastTrained[name], day));
+    }
+    xp[name] += amount;
+    lastTrained[name] = day;
+  };
+
+  const bestOneRepMax = {};
+  [...days.keys()].sort((a, b) => a - b).forEach(day => {
+    const dayBests = {};
+    days.get(day).forEach(workout => {
+      const key = getExerciseKey(workout);
+      const earned = workout.sets.reduce((sum, set) => {
+        const oneRepMax = estimateOneRepMax(set.weight, set.reps, formula);
+        dayBests[key] = Math.max(dayBests[key] || 0, oneRepMax);
+        return sum + XP_PER_SET * getSetIntensity(set, oneRepMax, bestOneRepMax[key] || 0);
+      }, 0);
+
+      credit(workout.bodyPart.name, day, earned);
+      (workout.exercise?.secondary || []).forEach(name => credit(name, day, earned * SECONDARY_SET_CREDIT));
+    });
+    Object.entries(dayBests).forEach(([key, value]) => {
+      bestOneRepMax[key] = Math.max(bestOneRepMax[key] || 0, value);
+    });
+  });
+
+  if (settings.decay && today) {
+    const todayMs = startOfDay(today).getTime();
+    Object.keys(xp).forEach(name => {
+      if (lastTrained[name] !== null) xp[name] = applyDecay(xp[name], daysBetween(lastTrained[name], todayMs));
+    });
+  }
+
+  return xp;
+};
+
+// Muscle group levels (like gaming stats), from getMuscleXp and the level curve
+export const calculateMuscleStats = (workouts, bodyParts, { today, settings = DEFAULT_XP_SETTINGS, formula } = {}) => {
+  if (workouts.length === 0) return {};
+
+  const stats = {};
+  const totalSets = countCreditedSetsByMuscle(workouts, bodyParts);
+  const xp = getMuscleXp(workouts, bodyParts, { today, settings, formula });
+
+  bodyParts.forEach(part => {
+    stats[part.name] = {
+      sets: totalSets[part.name] || 0,
+      xp: xp[part.name],
+      ...getLevelProgress(xp[part.name], settings.curve),
+      icon: part.icon
+    };
+  });
+
+  return stats;
+};
+
+// Time windows for the distribution radar. "all" has no range; "custom"
+// uses the dates the user picked.
+export const RADAR_WINDOWS = [
+  { id: '7d', label: '7 days', days: 7 },
+  { id: '30d', label: '30 days', days: 30 },
+  { id: '90d', label: '90 days', days: 90 },
+  { id: 'all', label: 'All time', days: null },
+  { id: 'custom', label: 'Custom', days: null }
+];
+
+// { start, end } for a window ending today, or null for all time.
+// `customRange` is { start, end } as local-midnight dates.
+export const getWindowRange = (windowId, today, customRange = null) => {
+  if (windowId === 'custom') {
+    if (!customRange || !customRange.start || !customRange.end || customRange.start > customRange.end) return null;
+    const end = new Date(customRange.end);
+    end.setHours(23, 59, 59, 999);
+    return { start: startOfDay(customRange.start), end };
+  }
+
+  const preset = RADAR_WINDOWS.find(w => w.id === windowId);
+  if (!preset || !preset.days) return null;
+  const end = new Date(today);
+  end.setHours(23, 59, 59, 999);
+  return { start: addDays(today, -(preset.days - 1)), end };
+};
+
+// The same number of days immediately before `range`
+export const getPreviousRange = (range) => {
+  const days = Math.round((startOfDay(range.end) - range.start) / (24 * 60 * 60 * 1000)) + 1;
+  const end = new Date(range.start.getTime() - 1);
+  return { start: addDays(range.start, -days), end };
+};
+
+// Credited sets per muscle group for the radar, in `bodyParts` order. With a
+// `compareRange` both polygons are scaled against the larger of the two, so
+// the shapes can be compared directly. A null range means all time.
+export const getRadarSeries = (workouts, bodyParts, range, compareRange = null) => {
+  const countIn = (r) => countCreditedSetsByMuscle(r ? filterWorkoutsInRange(workouts, r.start, r.end) : workouts, bodyParts);
+  const counts = countIn(range);
+  const compareCounts = compareRange ? countIn(compareRange) : null;
+  const maxSets = Math.max(...Object.values(counts), ...(compareCounts ? Object.values(compareCounts) : []));
+
+  const toSeries = (source) => bodyParts.map(part => ({
+    name: part.name,
+    sets: source[part.name],
+    percentage: maxSets > 0 ? (source[part.name] / maxSets) * 100 : 0
+  }));
+
+  return {
+    data: toSeries(counts),
+    compareData: compareCounts ? toSeries(compareCounts) : null
+  };
+};
+
+// Activity summary for workouts dated on or after `days` days before `today`
+export const getRecentActivity = (workouts, today, days = 7) => {
+  const since = addDays(today, -days);
+  const recentWorkouts = workouts.filter(workout => new Date(workout.date) >= since);
+
+  return {
+    activeDays: new Set(recentWorkouts.map(w => new Date(w.date).toDateString())).size,
+    totalSets: recentWorkouts.reduce((sum, w) => sum + getSetCount(w), 0),
+    totalWorkouts: recentWorkouts.length
+  };
+};
@@ -0,0 +1,122 @@
+import {
+  countSetsByBodyPart,
+  countCreditedSetsByMuscle,
+  getMuscleXp,
+  getRecentActivity,
+  SECONDARY_SET_CREDIT
+} from './statsSelectors';
+import { XP_PER_SET, DECAY_GRACE_DAYS, applyDecay } from '../utils/xp';
+
+const bodyParts = ['Chest', 'Triceps', 'Shoulders', 'Back'].map(name => ({ name, icon: name.toLowerCase() }));
+const part = (name) => bodyParts.find(p => p.name === name);
+const set = () => ({ weight: null, reps: null, rpe: null, timestamp: '2024-06-03T18:00:00.000Z' });
+
+const workout = (id, bodyPartName, date, sets, exercise = null) => ({
+  id,
+  date: date.toISOString(),
+  bodyPart: part(bodyPartName),
+  exercise,
+  timestamp: date.toISOString(),
+  sets
+});
+
+const benchPress = { id: 'bench-press', name: 'Bench Press', secondary: ['Triceps', 'Shoulders'] };
+
+describe('countSetsByBodyPart', () => {
+  test('counts legacy numeric sets and set lists alike', () => {
+    const day = new Date(2024, 5, 3);
+    const counts = countSetsByBodyPart([
+      workout(1, 'Chest', day, 3),
+      workout(2, 'Chest', day, [set(), set()]),
+      workout(3, 'Back', day, 0)
+    ], bodyParts);
+
+    // A zero count was always shown as one set
+    expect(counts).toEqual({ Chest: 5, Triceps: 0, Shoulders: 0, Back: 1 });
+  });
+
+  test('ignores muscle groups that are not listed', () => {
+    const counts = countSetsByBodyPart([{ ...workout(1, 'Chest', new Date(2024, 5, 3), 2), bodyPart: { name: 'Calves' } }], bodyParts);
+    expect(counts.Calves).toBeUndefined();
+  });
+});
+
+describe('countCreditedSetsByMuscle', () => {
+  test('credits secondary muscles with part of each set', () => {
+    const day = new Date(2024, 5, 3);
+    const counts = countCreditedSetsByMuscle([
+      workout(1, 'Chest', day, [set(), set(), set(), set()], benchPress),
+      workout(2, 'Triceps', day, 2)
+    ], bodyParts);
+
+    expect(counts.Chest).toBe(4);
+    expect(counts.Triceps).toBe(2 + 4 * SECONDARY_SET_CREDIT);
+    expect(counts.Shoulders).toBe(4 * SECONDARY_SET_CREDIT);
+    expect(counts.Back).toBe(0);
+  });
+});
+
+describe('getRecentActivity', () => {
+  test('summarizes the last seven days', () => {
+    const today = new Date(2024, 5, 10);
+    const activity = getRecentActivity([
+      workout(1, 'Chest', new Date(2024, 5, 10), 3),
+      workout(2, 'Back', new Date(2024, 5, 10), [set()]),
+      workout(3, 'Back', new Date(2024, 5, 3), 2),
+      workout(4, 'Chest', new Date(2024, 5, 2), 5)
+    ], today);
+
+    expect(activity).toEqual({ activeDays: 2, totalSets: 6, totalWorkouts: 3 });
+  });
+});
+
+describe('getMuscleXp', () => {
+  const noDecay = { curve: 'classic', decay: false };
+  const loaded = (weight, reps) => ({ ...set(), weight, reps });
+
+  test('credits secondary muscles with part of the XP', () => {
+    const day = new Date(2024, 5, 3);
+    const xp = getMuscleXp([workout(1, 'Chest', day, [set(), set(), set()], benchPress)], bodyParts, { today: day, settings: noDecay });
+
+    expect(xp.Chest).toBe(3 * XP_PER_SET);
+    expect(xp.Triceps).toBe(3 * XP_PER_SET * SECONDARY_SET_CREDIT);
+    expect(xp.Shoulders).toBe(3 * XP_PER_SET * SECONDARY_SET_CREDIT);
+    expect(xp.Back).toBe(0);
+  });
+
+  test('weighs sets against the best estimated 1RM from earlier days', () => {
+    const xp = getMuscleXp([
+      workout(1, 'Chest', new Date(2024, 5, 3), [loaded(100, 5)], benchPress),
+      workout(2, 'Chest', new Date(2024, 5, 5), [loaded(60, 5), loaded(100, 5)], benchPress)
+    ], bodyParts, { today: new Date(2024, 5, 5), settings: noDecay });
+
+    // First session has no best to compare with; then 0.6 and 1.0 of the best
+    expect(xp.Chest).toBeCloseTo(XP_PER_SET * (1 + 0.8 + 1.2));
+  });
+
+  test('decays untrained groups up to today', () => {
+    const day = new Date(2024, 5, 3);
+    const idleDays = DECAY_GRACE_DAYS + 8;
+    const today = new Date(2024, 5, 3 + idleDays);
+    const workouts = [workout(1, 'Chest', day, [set(), set()])];
+
+    const decayed = getMuscleXp(workouts, bodyParts, { today, settings: { curve: 'classic', decay: true } });
+    expect(decayed.Chest).toBeCloseTo(applyDecay(2 * XP_PER_SET, idleDays));
+    expect(decayed.Chest).toBeLessThan(2 * XP_PER_SET);
+
+    const withinGrace = getMuscleXp(workouts, bodyParts, { today: new Date(2024, 5, 3 + DECAY_GRACE_DAYS), settings: { curve: 'classic', decay: true } });
+    expect(withinGrace.Chest).toBe(2 * XP_PER_SET);
+
+    expect(getMuscleXp(workouts, bodyParts, { today, settings: noDecay }).Chest).toBe(2 * XP_PER_SET);
+  });
+
+  test('decays the gap between sessions before adding new XP', () => {
+    const gap = DECAY_GRACE_DAYS + 5;
+    const xp = getMuscleXp([
+      workout(1, 'Back', new Date(2024, 5, 1), [set()]),
+      workout(2, 'Back', new Date(2024, 5, 1 + gap), [set()])
+    ], bodyParts, { today: new Date(2024, 5, 1 + gap), settings: { curve: 'classic', decay: true } });
+
+    expect(xp.Back).toBeCloseTo(applyDecay(XP_PER_SET, gap) + XP_PER_SET);
+  });
+});
@@ -0,0 +1,81 @@
+import { startOfDay, addDays, getStartOfWeek } from './workoutSelectors';
+import { getSetCount } from '../utils/workoutRecords';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Whole calendar days from `a` to `b`; rounding absorbs DST shifts
+const daysBetween = (a, b) => Math.round((b - a) / DAY_MS);
+
+// Sets logged per day, keyed by local-midnight timestamp
+export const getDailySetCounts = (workouts) => {
+  const counts = new Map();
+  workouts.forEach(workout => {
+    const date = new Date(workout.date);
+    if (isNaN(date.getTime())) return;
+    const day = startOfDay(date).getTime();
+    counts.set(day, (counts.get(day) || 0) + getSetCount(workout));
+  });
+  return counts;
+};
+
+// Days with anything logged up to and including `today`, oldest first
+const getActiveDays = (workouts, today) => {
+  return [...getDailySetCounts(workouts).keys()]
+    .filter(day => day <= today.getTime())
+    .sort((a, b) => a - b)
+    .map(day => new Date(day));
+};
+
+// Runs of training days where no gap is longer than `restDays`
+const getDailyStreaks = (activeDays, restDays, today) => {
+  let longest = 0;
+  let run = 0;
+  activeDays.forEach((day, index) => {
+    const gap = index === 0 ? Infinity : daysBetween(activeDays[index - 1], day) - 1;
+    run = gap <= restDays ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  // Today is not over yet, so it does not count as a rest day
+  const last = activeDays[activeDays.length - 1];
+  const restSinceLast = last ? daysBetween(last, today) - 1 : Infinity;
+  return { current: restSinceLast <= restDays ? run : 0, longest };
+};
+
+// Runs of consecutive weeks that reached `daysPerWeek`. The current week only
+// extends the streak once it reaches the goal; until then it does not break it.
+const getWeeklyStreaks = (activeDays, daysPerWeek, today) => {
+  if (activeDays.length === 0) return { current: 0, longest: 0 };
+
+  const perWeek = new Map();
+  activeDays.forEach(day => {
+    const week = getStartOfWeek(day).getTime();
+    perWeek.set(week, (perWeek.get(week) || 0) + 1);
+  });
+
+  const thisWeek = getStartOfWeek(today);
+  let longest = 0;
+  let run = 0;
+  let current = 0;
+  for (let week = getStartOfWeek(activeDays[0]); week <= thisWeek; week = addDays(week, 7)) {
+    const metGoal = (perWeek.get(week.getTime()) || 0) >= daysPerWeek;
+    const isThisWeek = week.getTime() === thisWeek.getTime();
+    if (metGoal) {
+      run += 1;
+    } else if (!isThisWeek) {
+      run = 0;
+    }
+    longest = Math.max(longest, run);
+    if (isThisWeek) current = run;
+  }
+
+  return { current, longest };
+};
+
+// { current, longest } in days or weeks depending on `goal.mode`
+export const getStreaks = (workouts, goal, today) => {
+  const activeDays = getActiveDays(workouts, today);
+  return goal.mode === 'weekly'
+    ? getWeeklyStreaks(activeDays, goal.daysPerWeek, today)
+    : getDailyStreaks(activeDays, goal.restDays, today);
+};
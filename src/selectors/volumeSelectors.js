@@ -0,0 +1,20 @@
+import { countSetsByBodyPart } from './statsSelectors';
+import { getTargetStatus } from '../utils/volumeTargets';
+
+// Sets per muscle group in a week against its target:
+// [{ part, sets, target, status }] in `bodyParts` order
+export const getWeeklyVolume = (weekWorkouts, bodyParts, targets) => {
+  const counts = countSetsByBodyPart(weekWorkouts, bodyParts);
+  return bodyParts.map(part => {
+    const target = targets[part.name] || null;
+    return { part, sets: counts[part.name], target, status: getTargetStatus(counts[part.name], target) };
+  });
+};
+
+// Groups still short of their weekly minimum, furthest behind first
+export const getGroupsBehind = (weeklyVolume) => {
+  return weeklyVolume
+    .filter(entry => entry.status === 'under')
+    .map(entry => ({ ...entry, remaining: entry.target.min - entry.sets }))
+    .sort((a, b) => b.remaining - a.remaining);
+};
@@ -0,0 +1,104 @@
+import { getSetCount } from '../utils/workoutRecords';
+
+// Pure date-bucketing selectors over the workout list. Workouts carry a
+// `date` (local midnight of the day they belong to, as an ISO string) and a
+// `timestamp` (when they were logged).
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+export const addDays = (date, days) => {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+};
+
+// Weeks start on Monday
+export const getStartOfWeek = (date) => {
+  const startOfWeek = startOfDay(date);
+  const day = startOfWeek.getDay();
+  startOfWeek.setDate(startOfWeek.getDate() - day + (day === 0 ? -6 : 1)); // Adjust when day is Sunday
+  return startOfWeek;
+};
+
+// Monday-to-Sunday range `offset` weeks away from the week containing `date`
+export const getWeekRange = (date, offset = 0) => {
+  const start = addDays(getStartOfWeek(date), offset * 7);
+  const end = addDays(start, 6);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+};
+
+// Calendar month `offset` months away from the month containing `date`
+export const getMonthRange = (date, offset = 0) => {
+  const start = new Date(date.getFullYear(), date.getMonth() + offset, 1);
+  const end = new Date(start.getFullYear(), start.getMonth() + 1, 0, 23, 59, 59, 999);
+  return { start, end };
+};
+
+export const filterWorkoutsOnDay = (workouts, day) => {
+  const target = startOfDay(day).getTime();
+  return workouts.filter(workout => {
+    const date = parseDate(workout.date);
+    return date !== null && startOfDay(date).getTime() === target;
+  });
+};
+
+export const filterWorkoutsInRange = (workouts, start, end) => {
+  return workouts.filter(workout => {
+    const date = parseDate(workout.date);
+    return date !== null && date >= start && date <= end;
+  });
+};
+
+// Keyed by `toLocaleDateString()`, matching how the calendars look days up
+export const groupWorkoutsByDate = (workouts) => {
+  const grouped = {};
+
+  workouts.forEach(workout => {
+    const date = parseDate(workout.date);
+    if (!date) {
+      console.error('Error parsing date:', workout.date);
+      return;
+    }
+
+    const dateKey = date.toLocaleDateString();
+    if (!grouped[dateKey]) {
+      grouped[dateKey] = [];
+    }
+    grouped[dateKey].push(workout);
+  });
+
+  return grouped;
+};
+
+// Entries for `bodyPartName` on the most recent day before `beforeDate` that
+// trained it, in the order they were logged
+export const getLastSessionForBodyPart = (workouts, bodyPartName, beforeDate) => {
+  const cutoff = startOfDay(beforeDate);
+  const previous = workouts.filter(workout => {
+    const date = parseDate(workout.date);
+    return workout.bodyPart.name === bodyPartName && date !== null && date < cutoff;
+  });
+  if (previous.length === 0) return [];
+
+  const lastDate = new Date(Math.max(...previous.map(workout => parseDate(workout.date).getTime())));
+  return filterWorkoutsOnDay(previous, lastDate)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+export const countSets = (workouts) => workouts.reduce((sum, workout) => sum + getSetCount(workout), 0);
+
+export const formatDuration = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const mins = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${mins}m` : `${mins}m`;
+};
@@ -0,0 +1,97 @@
+import {
+  getStartOfWeek,
+  getWeekRange,
+  getMonthRange,
+  filterWorkoutsInRange,
+  groupWorkoutsByDate,
+  countSets
+} from './workoutSelectors';
+
+const chest = { name: 'Chest', icon: 'chest', emoji: '🍈' };
+
+// Records as older builds saved them, with `sets` as a bare count
+const legacyWorkout = (id, date, sets) => ({
+  id,
+  date: date.toISOString(),
+  bodyPart: chest,
+  timestamp: date.toISOString(),
+  sets
+});
+
+describe('getStartOfWeek', () => {
+  test('returns the Monday before a Sunday', () => {
+    expect(getStartOfWeek(new Date(2024, 5, 9, 15, 30))).toEqual(new Date(2024, 5, 3));
+  });
+
+  test('returns the same day for a Monday', () => {
+    expect(getStartOfWeek(new Date(2024, 5, 3, 8))).toEqual(new Date(2024, 5, 3));
+  });
+});
+
+describe('getWeekRange', () => {
+  test('spans Monday to the end of Sunday', () => {
+    const { start, end } = getWeekRange(new Date(2024, 5, 5));
+    expect(start).toEqual(new Date(2024, 5, 3));
+    expect(end).toEqual(new Date(2024, 5, 9, 23, 59, 59, 999));
+  });
+
+  test('crosses the year boundary with offsets', () => {
+    const next = getWeekRange(new Date(2024, 11, 27), 1);
+    expect(next.start).toEqual(new Date(2024, 11, 30));
+    expect(next.end).toEqual(new Date(2025, 0, 5, 23, 59, 59, 999));
+
+    const previous = getWeekRange(new Date(2025, 0, 2), -1);
+    expect(previous.start).toEqual(new Date(2024, 11, 23));
+  });
+});
+
+describe('getMonthRange', () => {
+  test('crosses the year boundary with offsets', () => {
+    const next = getMonthRange(new Date(2024, 11, 15), 1);
+    expect(next.start).toEqual(new Date(2025, 0, 1));
+    expect(next.end).toEqual(new Date(2025, 0, 31, 23, 59, 59, 999));
+
+    const previous = getMonthRange(new Date(2025, 0, 10), -1);
+    expect(previous.start).toEqual(new Date(2024, 11, 1));
+    expect(previous.end).toEqual(new Date(2024, 11, 31, 23, 59, 59, 999));
+  });
+
+  test('ends on the last day of February', () => {
+    expect(getMonthRange(new Date(2024, 1, 10)).end.getDate()).toBe(29);
+  });
+});
+
+describe('filterWorkoutsInRange', () => {
+  test('keeps workouts within the range and skips invalid dates', () => {
+    const { start, end } = getWeekRange(new Date(2024, 5, 5));
+    const workouts = [
+      legacyWorkout(1, new Date(2024, 5, 3), 3),
+      legacyWorkout(2, new Date(2024, 5, 9), 2),
+      legacyWorkout(3, new Date(2024, 5, 10), 4),
+      { ...legacyWorkout(4, new Date(2024, 5, 4), 1), date: 'not a date' }
+    ];
+
+    expect(filterWorkoutsInRange(workouts, start, end).map(workout => workout.id)).toEqual([1, 2]);
+  });
+});
+
+describe('groupWorkoutsByDate', () => {
+  test('groups by local day and keeps legacy set counts', () => {
+    const monday = new Date(2024, 5, 3);
+    const workouts = [
+      legacyWorkout(1, monday, 3),
+      legacyWorkout(2, monday, 2),
+      legacyWorkout(3, new Date(2024, 5, 4), 1)
+    ];
+
+    const grouped = groupWorkoutsByDate(workouts);
+    expect(Object.keys(grouped)).toEqual([monday.toLocaleDateString(), new Date(2024, 5, 4).toLocaleDateString()]);
+    expect(countSets(grouped[monday.toLocaleDateString()])).toBe(5);
+  });
+
+  test('skips records with an unparseable date', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(groupWorkoutsByDate([{ ...legacyWorkout(1, new Date(2024, 5, 3), 1), date: 'bad' }])).toEqual({});
+    console.error.mockRestore();
+  });
+});
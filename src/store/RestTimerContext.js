@@ -0,0 +1,111 @@
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import { getExerciseKey } from '../utils/workoutRecords';
+import {
+  REST_DEFAULTS_KEY,
+  DEFAULT_REST_SECONDS,
+  MAX_RECORDED_REST_SECONDS,
+  getRestLabel,
+  alertRestOver,
+  requestRestNotifications
+} from '../utils/restTimer';
+import usePersistedSetting from '../hooks/usePersistedSetting';
+
+// Rest timer shared by the set counters (which start it) and the header
+// (which shows the countdown). The timer keeps wall-clock start and end times
+// so it stays correct while the tab is throttled in the background.
+
+const RestTimerContext = createContext(null);
+
+export const RestTimerProvider = ({ children }) => {
+  const [timer, setTimer] = useState(null); // { workoutId, label, startedAt, endsAt }
+  const [now, setNow] = useState(() => Date.now());
+  const [restDefaults, setRestDefaults, loadRestDefaults] = usePersistedSetting(REST_DEFAULTS_KEY, {}); // exercise key -> seconds
+
+  useEffect(() => {
+    loadRestDefaults();
+  }, [loadRestDefaults]);
+
+  // Tick once a second for the countdown display
+  useEffect(() => {
+    if (!timer) return;
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [timer]);
+
+  // A single timeout for the alert, so it fires on time even when the
+  // display interval is throttled
+  useEffect(() => {
+    if (!timer) return;
+    const remaining = timer.endsAt - Date.now();
+    if (remaining <= 0) return;
+
+    const timeoutId = setTimeout(() => {
+      setNow(Date.now());
+      alertRestOver(timer.label);
+    }, remaining);
+    return () => clearTimeout(timeoutId);
+  }, [timer]);
+
+  const getRestDuration = useCallback((workout) => {
+    return restDefaults[getExerciseKey(workout)] || DEFAULT_REST_SECONDS;
+  }, [restDefaults]);
+
+  const setRestDuration = useCallback((workout, seconds) => {
+    setRestDefaults({ ...restDefaults, [getExerciseKey(workout)]: seconds });
+  }, [restDefaults, setRestDefaults]);
+
+  const startRest = useCallback((workout) => {
+    requestRestNotifications();
+    const startedAt = Date.now();
+    setNow(startedAt);
+    setTimer({
+      workoutId: workout.id,
+      label: getRestLabel(workout),
+      startedAt,
+      endsAt: startedAt + getRestDuration(workout) * 1000
+    });
+  }, [getRestDuration]);
+
+  // Lengthen or shorten the running rest, e.g. +15s from the header
+  const adjustRest = useCallback((seconds) => {
+    setTimer(current => current && {
+      ...current,
+      endsAt: Math.max(Date.now(), current.endsAt + seconds * 1000)
+    });
+  }, []);
+
+  const stopRest = useCallback(() => setTimer(null), []);
+
+  // Seconds rested since the last set of this workout, or null when the timer
+  // belongs to another exercise or the gap is too long to count as rest
+  const getElapsedRest = useCallback((workoutId) => {
+    if (!timer || timer.workoutId !== workoutId) return null;
+    const elapsed = Math.round((Date.now() - timer.startedAt) / 1000);
+    return elapsed <= MAX_RECORDED_REST_SECONDS ? elapsed : null;
+  }, [timer]);
+
+  const value = {
+    timer,
+    remainingSeconds: timer ? Math.max(0, Math.ceil((timer.endsAt - now) / 1000)) : 0,
+    getRestDuration,
+    setRestDuration,
+    startRest,
+    adjustRest,
+    stopRest,
+    getElapsedRest
+  };
+
+  return (
+    <RestTimerContext.Provider value={value}>
+      {children}
+    </RestTimerContext.Provider>
+  );
+};
+
+export const useRestTimer = () => {
+  const context = useContext(RestTimerContext);
+  if (!context) {
+    throw new Error('useRestTimer must be used inside a RestTimerProvider');
+  }
+  return context;
+};
@@ -0,0 +1,695 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef, useMemo } from 'react';
+import exerciseCatalog from '../data/exerciseCatalog';
+import bodyParts from '../data/bodyParts';
+import { createSet, createWorkout, normalizeWorkout, parseSetValue, getExerciseKey } from '../utils/workoutRecords';
+import { duplicateTemplate as duplicateTemplateRecord } from '../utils/templates';
+import { shiftProgram, skipOccurrence } from '../utils/programs';
+import { PROGRESSION_SETTINGS_KEY, DEFAULT_PROGRESSION_RULE } from '../utils/progression';
+import { ONE_REP_MAX_FORMULA_KEY, DEFAULT_ONE_REP_MAX_FORMULA } from '../utils/records';
+import { STREAK_GOAL_KEY, DEFAULT_STREAK_GOAL } from '../utils/streaks';
+import { XP_SETTINGS_KEY, DEFAULT_XP_SETTINGS } from '../utils/xp';
+import { ACHIEVEMENTS_ANNOUNCED_KEY } from '../utils/achievements';
+import { BALANCE_SETTINGS_KEY, DEFAULT_BALANCE_SETTINGS } from '../utils/balance';
+import { HEART_RATE_ZONES, getCardio } from '../utils/cardio';
+import { VOLUME_TARGETS_KEY, getDefaultVolumeTargets } from '../utils/volumeTargets';
+import { getLastSessionForBodyPart } from '../selectors/workoutSelectors';
+import {
+  createSession,
+  isSessionActive,
+  isSessionStale,
+  getLastActivityMs,
+  closeStaleSession,
+  pauseSession as pauseSessionRecord,
+  resumeSession as resumeSessionRecord,
+  finishSession as finishSessionRecord
+} from '../utils/sessions';
+import {
+  WORKOUT_STORE,
+  EXERCISE_STORE,
+  SESSION_STORE,
+  TEMPLATE_STORE,
+  PROGRAM_STORE,
+  BODY_METRIC_STORE,
+  getAllRecords,
+  diffRecords,
+  applyRecordChanges,
+  putRecord,
+  deleteRecord,
+  replaceStores,
+  getMetaValue,
+  putMetaValue
+} from '../utils/database';
+import useUndoableState from '../hooks/useUndoableState';
+import usePersistedSetting from '../hooks/usePersistedSetting';
+
+// Workout data layer: holds the workout history and custom exercises, keeps
+// them in sync with IndexedDB, and exposes the edit actions. Views read from
+// it with `useWorkoutStore()` and derive what they show via ../selectors.
+
+const WorkoutContext = createContext(null);
+
+export const WorkoutProvider = ({ children }) => {
+  const {
+    state: workouts,
+    update: updateWorkouts,
+    reset: resetWorkouts,
+    undo,
+    redo,
+    undoLabel,
+    redoLabel
+  } = useUndoableState([]);
+  const [customExercises, setCustomExercises] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [templates, setTemplates] = useState([]);
+  const [programs, setPrograms] = useState([]);
+  const [bodyMetrics, setBodyMetrics] = useState([]);
+  const [progressionRules, setProgressionRules, loadProgressionRules] = usePersistedSetting(PROGRESSION_SETTINGS_KEY, {}); // exercise key -> rule id
+  const [oneRepMaxFormula, setOneRepMaxFormula, loadOneRepMaxFormula] = usePersistedSetting(ONE_REP_MAX_FORMULA_KEY, DEFAULT_ONE_REP_MAX_FORMULA);
+  const [streakGoal, setStreakGoal, loadStreakGoal] = usePersistedSetting(STREAK_GOAL_KEY, DEFAULT_STREAK_GOAL);
+  const [xpSettings, setXpSettings, loadXpSettings] = usePersistedSetting(XP_SETTINGS_KEY, DEFAULT_XP_SETTINGS);
+  const [balanceSettings, setBalanceSettings, loadBalanceSettings] = usePersistedSetting(BALANCE_SETTINGS_KEY, DEFAULT_BALANCE_SETTINGS);
+  const [volumeTargets, setVolumeTargets] = useState(() => getDefaultVolumeTargets(bodyParts));
+  // Unlocked achievements the user has already been shown; null until first recorded
+  const [announcedAchievements, announceAchievements, loadAnnouncedAchievements] = usePersistedSetting(ACHIEVEMENTS_ANNOUNCED_KEY, null);
+  const [isLoaded, setIsLoaded] = useState(false);
+  const [backupStatus, setBackupStatus] = useState('');
+  const isInitialMount = useRef(true);
+  const lastSaveTime = useRef(0);
+  const persistedWorkouts = useRef(new Map()); // id -> record as last written to IndexedDB
+  const saveQueue = useRef(Promise.resolve());
+  const pendingSessionWrites = useRef(new Map()); // session id -> debounce timeout
+
+  const today = useMemo(() => {
+    const date = new Date();
+    date.setHours(0, 0, 0, 0); // Set to beginning of day for proper comparison
+    return date;
+  }, []);
+
+  const exercises = useMemo(() => [...exerciseCatalog, ...customExercises], [customExercises]);
+
+  // At most one session runs at a time
+  const activeSession = useMemo(() => sessions.find(isSessionActive) || null, [sessions]);
+
+  // Write only the records that changed since the last save. Saves are queued
+  // so each diff is taken against the snapshot the previous save left behind.
+  const saveToIndexedDB = useCallback((data, showStatus = false) => {
+    lastSaveTime.current = Date.now(); // Track when we last saved
+
+    saveQueue.current = saveQueue.current.then(async () => {
+      try {
+        const changes = diffRecords(persistedWorkouts.current, data);
+        if (changes.puts.length === 0 && changes.deletes.length === 0) return;
+
+        await applyRecordChanges(WORKOUT_STORE, changes);
+        persistedWorkouts.current = new Map(data.map(workout => [workout.id, workout]));
+
+        // Only show status messages when explicitly requested to reduce re-renders
+        if (showStatus) {
+          setBackupStatus(changes.deletes.length > 0 ? 'Workout deleted' : 'Saved to device storage');
+          setTimeout(() => setBackupStatus(''), 2000);
+        }
+        console.log(`Saved ${changes.puts.length} and deleted ${changes.deletes.length} workouts in IndexedDB`); // Debug logging
+      } catch (error) {
+        console.error('Failed to save to IndexedDB:', error);
+      }
+    });
+
+    return saveQueue.current;
+  }, []);
+
+  const loadFromIndexedDB = useCallback(async () => {
+    try {
+      const records = await getAllRecords(WORKOUT_STORE);
+      persistedWorkouts.current = new Map(records.map(workout => [workout.id, workout]));
+
+      if (records.length > 0) {
+        resetWorkouts(records.map(normalizeWorkout));
+        // Removed status update on load to prevent initial shaking
+      }
+    } catch (error) {
+      console.error('Failed to load from IndexedDB:', error);
+    }
+  }, [resetWorkouts]);
+
+  const loadCustomExercises = useCallback(async () => {
+    try {
+      setCustomExercises(await getAllRecords(EXERCISE_STORE));
+    } catch (error) {
+      console.error('Failed to load custom exercises:', error);
+    }
+  }, []);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setSessions(await getAllRecords(SESSION_STORE));
+    } catch (error) {
+      console.error('Failed to load sessions:', error);
+    }
+  }, []);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      setTemplates(await getAllRecords(TEMPLATE_STORE));
+    } catch (error) {
+      console.error('Failed to load templates:', error);
+    }
+  }, []);
+
+  const loadPrograms = useCallback(async () => {
+    try {
+      setPrograms(await getAllRecords(PROGRAM_STORE));
+    } catch (error) {
+      console.error('Failed to load programs:', error);
+    }
+  }, []);
+
+  const loadBodyMetrics = useCallback(async () => {
+    try {
+      setBodyMetrics(await getAllRecords(BODY_METRIC_STORE));
+    } catch (error) {
+      console.error('Failed to load body metrics:', error);
+    }
+  }, []);
+
+  const loadSettings = useCallback(async () => {
+    await Promise.all([
+      loadProgressionRules(),
+      loadOneRepMaxFormula(),
+      loadStreakGoal(),
+      loadAnnouncedAchievements(),
+      loadXpSettings(),
+      loadBalanceSettings()
+    ]);
+    // Volume targets stay outside the hook: they are part of the backup and
+    // a failed save is reported to the user
+    try {
+      setVolumeTargets((await getMetaValue(VOLUME_TARGETS_KEY)) || getDefaultVolumeTargets(bodyParts));
+    } catch (error) {
+      console.error('Failed to load volume targets:', error);
+    }
+  }, [loadProgressionRules, loadOneRepMaxFormula, loadStreakGoal, loadAnnouncedAchievements, loadXpSettings, loadBalanceSettings]);
+
+  // Load data on mount. Every loader handles its own errors, so `isLoaded`
+  // is always set once they have all finished.
+  useEffect(() => {
+    Promise.all([
+      loadFromIndexedDB(),
+      loadCustomExercises(),
+      loadSessions(),
+      loadTemplates(),
+      loadPrograms(),
+      loadBodyMetrics(),
+      loadSettings()
+    ]).then(() => setIsLoaded(true));
+  }, [loadFromIndexedDB, loadCustomExercises, loadSessions, loadTemplates, loadPrograms, loadBodyMetrics, loadSettings]);
+
+  // Auto backup to IndexedDB - flushes anything the debounced save has not written yet
+  useEffect(() => {
+    const autoBackupInterval = setInterval(() => {
+      // Only auto-save if it's been more than 2 minutes since last manual save
+      const timeSinceLastSave = Date.now() - lastSaveTime.current;
+      if (timeSinceLastSave > 2 * 60 * 1000) { // 2 minutes
+        console.log('Auto-backup triggered');
+        saveToIndexedDB(workouts);
+      }
+    }, 5 * 60 * 1000); // 5 minutes
+
+    return () => clearInterval(autoBackupInterval);
+  }, [workouts, saveToIndexedDB]);
+
+  // Save whenever workouts change, but debounce to prevent multiple rapid saves
+  useEffect(() => {
+    // Skip saving on initial mount to prevent unnecessary operations
+    if (isInitialMount.current) {
+      isInitialMount.current = false;
+      return;
+    }
+
+    // Save whether workouts array has items or is empty (important for deletions!)
+    const timeoutId = setTimeout(() => {
+      saveToIndexedDB(workouts);
+    }, 500); // Reduced debounce to 500ms to ensure deletions are saved quickly
+
+    return () => clearTimeout(timeoutId);
+  }, [workouts, saveToIndexedDB]);
+
+  const saveCustomExercise = useCallback(async ({ name, primary, secondary }) => {
+    const exercise = {
+      id: `custom-${Date.now()}`,
+      name,
+      primary,
+      secondary,
+      custom: true
+    };
+
+    try {
+      await putRecord(EXERCISE_STORE, exercise);
+      setCustomExercises(prev => [...prev, exercise]);
+      return exercise;
+    } catch (error) {
+      console.error('Failed to save custom exercise:', error);
+      alert('Error saving exercise. Please try again.');
+      return null;
+    }
+  }, []);
+
+  // Sessions are not part of the undo history; each change is written straight
+  // away, except typing in the notes, which is debounced like workout saves
+  const saveSession = useCallback((session, { debounce = false } = {}) => {
+    setSessions(prev => prev.some(s => s.id === session.id)
+      ? prev.map(s => (s.id === session.id ? session : s))
+      : [...prev, session]);
+
+    const pending = pendingSessionWrites.current;
+    clearTimeout(pending.get(session.id));
+    pending.delete(session.id);
+
+    const write = () => {
+      pending.delete(session.id);
+      putRecord(SESSION_STORE, session).catch(error => {
+        console.error('Failed to save session:', error);
+      });
+    };
+    if (debounce) {
+      pending.set(session.id, setTimeout(write, 500));
+    } else {
+      write();
+    }
+  }, []);
+
+  const updateSession = useCallback((id, change, options) => {
+    const session = sessions.find(s => s.id === id);
+    if (session) saveSession(change(session), options);
+  }, [sessions, saveSession]);
+
+  // A session left running on an earlier day would otherwise stay active
+  // forever, so finish it once everything has loaded
+  useEffect(() => {
+    if (!isLoaded) return;
+    sessions
+      .filter(session => isSessionStale(session, today))
+      .forEach(session => saveSession(closeStaleSession(session, getLastActivityMs(workouts, session.id))));
+  }, [isLoaded, sessions, workouts, today, saveSession]);
+
+  const startSession = useCallback(() => {
+    if (activeSession) return activeSession;
+    const session = createSession(today);
+    saveSession(session);
+    return session;
+  }, [activeSession, today, saveSession]);
+
+  const pauseSession = useCallback((id) => updateSession(id, pauseSessionRecord), [updateSession]);
+  const resumeSession = useCallback((id) => updateSession(id, resumeSessionRecord), [updateSession]);
+  const finishSession = useCallback((id) => updateSession(id, finishSessionRecord), [updateSession]);
+
+  const updateSessionNotes = useCallback((id, notes) => {
+    updateSession(id, session => ({ ...session, notes }), { debounce: true });
+  }, [updateSession]);
+
+  // Create or update a template
+  const saveTemplate = useCallback(async (template) => {
+    const saved = { ...template, updatedAt: new Date().toISOString() };
+    try {
+      await putRecord(TEMPLATE_STORE, saved);
+      setTemplates(prev => prev.some(t => t.id === saved.id)
+        ? prev.map(t => (t.id === saved.id ? saved : t))
+        : [...prev, saved]);
+      return saved;
+    } catch (error) {
+      console.error('Failed to save template:', error);
+      alert('Error saving template. Please try again.');
+      return null;
+    }
+  }, []);
+
+  const duplicateTemplate = useCallback((template) => saveTemplate(duplicateTemplateRecord(template)), [saveTemplate]);
+
+  const deleteTemplate = useCallback(async (id) => {
+    try {
+      await deleteRecord(TEMPLATE_STORE, id);
+      setTemplates(prev => prev.filter(t => t.id !== id));
+    } catch (error) {
+      console.error('Failed to delete template:', error);
+      alert('Error deleting template. Please try again.');
+    }
+  }, []);
+
+  // Create or update a program. Only one program runs at a time, so saving an
+  // active program deactivates the others.
+  const saveProgram = useCallback(async (program) => {
+    const saved = { ...program, updatedAt: new Date().toISOString() };
+    const deactivated = saved.active
+      ? programs.filter(p => p.id !== saved.id && p.active).map(p => ({ ...p, active: false }))
+      : [];
+
+    try {
+      await applyRecordChanges(PROGRAM_STORE, { puts: [saved, ...deactivated], deletes: [] });
+      setPrograms(prev => {
+        const changed = new Map([saved, ...deactivated].map(p => [p.id, p]));
+        const kept = prev.map(p => changed.get(p.id) || p);
+        return kept.some(p => p.id === saved.id) ? kept : [...kept, saved];
+      });
+      return saved;
+    } catch (error) {
+      console.error('Failed to save program:', error);
+      alert('Error saving program. Please try again.');
+      return null;
+    }
+  }, [programs]);
+
+  const deleteProgram = useCallback(async (id) => {
+    try {
+      await deleteRecord(PROGRAM_STORE, id);
+      setPrograms(prev => prev.filter(p => p.id !== id));
+    } catch (error) {
+      console.error('Failed to delete program:', error);
+      alert('Error deleting program. Please try again.');
+    }
+  }, []);
+
+  // Create or update the body metric entry for a day
+  const saveBodyEntry = useCallback(async (entry) => {
+    const saved = { ...entry, updatedAt: new Date().toISOString() };
+    try {
+      await putRecord(BODY_METRIC_STORE, saved);
+      setBodyMetrics(prev => prev.some(e => e.id === saved.id)
+        ? prev.map(e => (e.id === saved.id ? saved : e))
+        : [...prev, saved]);
+      return saved;
+    } catch (error) {
+      console.error('Failed to save body metrics:', error);
+      alert('Error saving measurements. Please try again.');
+      return null;
+    }
+  }, []);
+
+  const deleteBodyEntry = useCallback(async (id) => {
+    try {
+      await deleteRecord(BODY_METRIC_STORE, id);
+      setBodyMetrics(prev => prev.filter(e => e.id !== id));
+    } catch (error) {
+      console.error('Failed to delete body metrics:', error);
+      alert('Error deleting measurements. Please try again.');
+    }
+  }, []);
+
+  // Move a missed session (and everything after it) to today
+  const shiftProgramSchedule = useCallback((program, occurrence) => {
+    return saveProgram(shiftProgram(program, occurrence, today));
+  }, [saveProgram, today]);
+
+  const skipProgramSession = useCallback((program, occurrence) => {
+    return saveProgram(skipOccurrence(program, occurrence));
+  }, [saveProgram]);
+
+  // Progression rule chosen for an exercise (or muscle group for general entries)
+  const getProgressionRule = useCallback((workout) => {
+    return progressionRules[getExerciseKey(workout)] || DEFAULT_PROGRESSION_RULE;
+  }, [progressionRules]);
+
+  const setProgressionRule = useCallback((workout, ruleId) => {
+    setProgressionRules({ ...progressionRules, [getExerciseKey(workout)]: ruleId });
+  }, [progressionRules, setProgressionRules]);
+
+  // Targets are part of the backup, so a failed save is reported
+  const saveVolumeTargets = useCallback(async (targets) => {
+    try {
+      await putMetaValue(VOLUME_TARGETS_KEY, targets);
+      setVolumeTargets(targets);
+      return true;
+    } catch (error) {
+      console.error('Failed to save volume targets:', error);
+      alert('Error saving volume targets. Please try again.');
+      return false;
+    }
+  }, []);
+
+  // Restore from a backup: every store is replaced in one transaction, so it
+  // throws when the write fails, leaving storage and state untouched. Not
+  // undoable, since undo only covers workouts: the history restarts here.
+  const importBackup = useCallback(async ({
+    workouts: importedWorkouts,
+    exercises: importedExercises,
+    sessions: importedSessions,
+    templates: importedTemplates,
+    programs: importedPrograms,
+    volumeTargets: importedVolumeTargets,
+    bodyMetrics: importedBodyMetrics
+  }) => {
+    // Let a save already under way finish first, so it can't write old
+    // workouts over the import
+    await saveQueue.current;
+    await replaceStores({
+      [WORKOUT_STORE]: importedWorkouts,
+      [EXERCISE_STORE]: importedExercises,
+      [SESSION_STORE]: importedSessions,
+      [TEMPLATE_STORE]: importedTemplates,
+      [PROGRAM_STORE]: importedPrograms,
+      [BODY_METRIC_STORE]: importedBodyMetrics
+    }, { [VOLUME_TARGETS_KEY]: importedVolumeTargets });
+
+    // The workouts are already written, so the debounced save has nothing to do
+    persistedWorkouts.current = new Map(importedWorkouts.map(workout => [workout.id, workout]));
+    // Drop note edits still waiting to be written over the imported sessions
+    pendingSessionWrites.current.forEach(clearTimeout);
+    pendingSessionWrites.current.clear();
+
+    setCustomExercises(importedExercises);
+    setSessions(importedSessions);
+    setTemplates(importedTemplates);
+    setPrograms(importedPrograms);
+    setBodyMetrics(importedBodyMetrics);
+    setVolumeTargets(importedVolumeTargets);
+    resetWorkouts(importedWorkouts);
+  }, [resetWorkouts]);
+
+  // CSV imports only bring workouts, so they can be undone like any edit
+  const importWorkouts = useCallback((importedWorkouts) => {
+    updateWorkouts(importedWorkouts, { label: 'Import' });
+  }, [updateWorkouts]);
+
+  // Deletes go through the regular incremental save, so a reset can be undone
+  const clearAllWorkouts = useCallback(() => {
+    updateWorkouts([], { label: 'Reset all data' });
+  }, [updateWorkouts]);
+
+  // Entries logged on the day of the running session are attached to it
+  const getSessionIdFor = useCallback((date, session = activeSession) => {
+    return session && session.date === date.toISOString() ? session.id : null;
+  }, [activeSession]);
+
+  // `date` is the day the entry belongs to
+  const addWorkout = useCallback((bodyPart, exercise = null, date = today) => {
+    const workout = createWorkout(bodyPart, exercise, date, { sessionId: getSessionIdFor(date) });
+    updateWorkouts(prevWorkouts => [...prevWorkouts, workout], { label: 'Add exercise' });
+    return workout;
+  }, [today, getSessionIdFor, updateWorkouts]);
+
+  // Add several entries as one undoable action. `entries` are
+  // { bodyPart, exercise, sets } in the order they should appear.
+  const addWorkouts = useCallback((entries, date, label, sessionId = getSessionIdFor(date)) => {
+    const added = entries.map(({ bodyPart, exercise, sets }, index) =>
+      createWorkout(bodyPart, exercise, date, { sets, sessionId, offsetMs: index })
+    );
+    if (added.length > 0) {
+      updateWorkouts(prevWorkouts => [...prevWorkouts, ...added], { label });
+    }
+    return added;
+  }, [getSessionIdFor, updateWorkouts]);
+
+  // Pre-populate a day from a template, with empty sets up to each target.
+  // Starting today's workout from a template also starts a session.
+  const startFromTemplate = useCallback((template, date = today) => {
+    const session = date.getTime() === today.getTime() ? startSession() : null;
+    const entries = template.items
+      .map(item => ({
+        bodyPart: bodyParts.find(part => part.name === item.bodyPart),
+        exercise: item.exercise,
+        sets: Array.from({ length: item.targetSets }, () => createSet())
+      }))
+      .filter(entry => entry.bodyPart);
+
+    return addWorkouts(entries, date, `Start ${template.name}`, getSessionIdFor(date, session));
+  }, [today, startSession, addWorkouts, getSessionIdFor]);
+
+  // Copy the exercises and set weights/reps from the last day that trained this muscle group
+  const repeatLastSession = useCallback((bodyPart, date = today) => {
+    const entries = getLastSessionForBodyPart(workouts, bodyPart.name, date).map(workout => ({
+      bodyPart: workout.bodyPart,
+      exercise: workout.exercise,
+      sets: normalizeWorkout(workout).sets.map(set => createSet(set))
+    }));
+
+    return addWorkouts(entries, date, `Repeat last ${bodyPart.name} session`);
+  }, [workouts, today, addWorkouts]);
+
+  // Move an entry that landed on the wrong day, keeping its time of day
+  const moveWorkout = useCallback((id, newDate) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.map(workout => {
+      if (workout.id !== id) return workout;
+
+      const timestamp = new Date(newDate);
+      const previous = new Date(workout.timestamp);
+      if (!isNaN(previous.getTime())) {
+        timestamp.setHours(previous.getHours(), previous.getMinutes(), previous.getSeconds(), previous.getMilliseconds());
+      }
+
+      return { ...workout, date: newDate.toISOString(), timestamp: timestamp.toISOString() };
+    }), { label: 'Move workout' });
+  }, [updateWorkouts]);
+
+  const removeWorkout = useCallback((id) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.filter(workout => workout.id !== id), { label: 'Remove workout' });
+  }, [updateWorkouts]);
+
+  // `restSeconds` is the rest measured by the rest timer before this set, if any
+  const incrementSets = useCallback((id, restSeconds = null) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.map(workout =>
+      workout.id === id
+        ? { ...workout, sets: [...workout.sets, createSet(workout.sets[workout.sets.length - 1], restSeconds)] }
+        : workout
+    ), { label: 'Add set' });
+  }, [updateWorkouts]);
+
+  const decrementSets = useCallback((id) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.map(workout =>
+      workout.id === id && workout.sets.length > 1
+        ? { ...workout, sets: workout.sets.slice(0, -1) }
+        : workout
+    ), { label: 'Remove set' });
+  }, [updateWorkouts]);
+
+  const updateSet = useCallback((id, setIndex, field, value) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.map(workout =>
+      workout.id === id
+        ? {
+            ...workout,
+            sets: workout.sets.map((set, index) =>
+              index === setIndex ? { ...set, [field]: parseSetValue(value) } : set
+            )
+          }
+        : workout
+    ), { label: `Edit set ${field}`, mergeKey: `${id}-${setIndex}-${field}` });
+  }, [updateWorkouts]);
+
+  // Fill the suggested weight and reps into every set that has neither yet
+  const applySuggestion = useCallback((id, { weight, reps }) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.map(workout =>
+      workout.id === id
+        ? {
+            ...workout,
+            sets: workout.sets.map(set =>
+              set.weight === null && set.reps === null ? { ...set, weight, reps } : set
+            )
+          }
+        : workout
+    ), { label: 'Apply suggestion' });
+  }, [updateWorkouts]);
+
+  // Cardio fields other than the activity arrive as input strings
+  const updateCardio = useCallback((id, field, value) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.map(workout =>
+      workout.id === id
+        ? { ...workout, cardio: { ...getCardio(workout), [field]: field === 'activity' ? value : parseSetValue(value) } }
+        : workout
+    ), { label: 'Edit cardio', mergeKey: `${id}-cardio-${field}` });
+  }, [updateWorkouts]);
+
+  // Minutes in one heart-rate zone; clearing every zone drops the breakdown
+  const updateCardioZone = useCallback((id, zoneIndex, value) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.map(workout => {
+      if (workout.id !== id) return workout;
+      const zoneMinutes = (getCardio(workout).zoneMinutes || HEART_RATE_ZONES.map(() => null))
+        .map((minutes, index) => (index === zoneIndex ? parseSetValue(value) : minutes));
+      return {
+        ...workout,
+        cardio: { ...getCardio(workout), zoneMinutes: zoneMinutes.every(minutes => minutes === null) ? null : zoneMinutes }
+      };
+    }), { label: 'Edit cardio', mergeKey: `${id}-zone-${zoneIndex}` });
+  }, [updateWorkouts]);
+
+  const removeSet = useCallback((id, setIndex) => {
+    updateWorkouts(prevWorkouts => prevWorkouts.map(workout =>
+      workout.id === id && workout.sets.length > 1
+        ? { ...workout, sets: workout.sets.filter((_, index) => index !== setIndex) }
+        : workout
+    ), { label: 'Remove set' });
+  }, [updateWorkouts]);
+
+  const value = {
+    workouts,
+    customExercises,
+    exercises,
+    sessions,
+    activeSession,
+    templates,
+    programs,
+    bodyMetrics,
+    bodyParts,
+    today,
+    oneRepMaxFormula,
+    streakGoal,
+    xpSettings,
+    balanceSettings,
+    announcedAchievements,
+    isLoaded,
+    volumeTargets,
+    backupStatus,
+    undo,
+    redo,
+    undoLabel,
+    redoLabel,
+    addWorkout,
+    startFromTemplate,
+    repeatLastSession,
+    moveWorkout,
+    removeWorkout,
+    incrementSets,
+    decrementSets,
+    updateSet,
+    applySuggestion,
+    updateCardio,
+    updateCardioZone,
+    removeSet,
+    saveCustomExercise,
+    startSession,
+    pauseSession,
+    resumeSession,
+    finishSession,
+    updateSessionNotes,
+    saveTemplate,
+    duplicateTemplate,
+    deleteTemplate,
+    saveProgram,
+    deleteProgram,
+    shiftProgramSchedule,
+    skipProgramSession,
+    saveBodyEntry,
+    deleteBodyEntry,
+    getProgressionRule,
+    setProgressionRule,
+    setOneRepMaxFormula,
+    setStreakGoal,
+    setXpSettings,
+    setBalanceSettings,
+    announceAchievements,
+    saveVolumeTargets,
+    importBackup,
+    importWorkouts,
+    clearAllWorkouts
+  };
+
+  return (
+    <WorkoutContext.Provider value={value}>
+      {children}
+    </WorkoutContext.Provider>
+  );
+};
+
+export const useWorkoutStore = () => {
+  const context = useContext(WorkoutContext);
+  if (!context) {
+    throw new Error('useWorkoutStore must be used inside a WorkoutProvider');
+  }
+  return context;
+};
@@ -0,0 +1,73 @@
+// Achievement rules. Each rule names a metric from achievementSelectors and
+// the value that unlocks it, so new badges only need a new entry here.
+// `goal: 'all'` means every muscle group. Ids of achievements the user has
+// already been told about are stored under ACHIEVEMENTS_ANNOUNCED_KEY in
+// the meta store.
+
+export const ACHIEVEMENTS_ANNOUNCED_KEY = 'announcedAchievements';
+
+export const ACHIEVEMENT_TIERS = {
+  bronze: { label: 'Bronze', color: '#b45309' }, // amber-700
+  silver: { label: 'Silver', color: '#64748b' }, // slate-500
+  gold: { label: 'Gold', color: '#ca8a04' } // yellow-600
+};
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-workout',
+    title: 'First Rep',
+    description: 'Log your first workout',
+    tier: 'bronze',
+    metric: 'trainingDays',
+    goal: 1
+  },
+  {
+    id: 'hundred-sets',
+    title: 'Warming Up',
+    description: 'Log 100 sets',
+    tier: 'bronze',
+    metric: 'lifetimeSets',
+    goal: 100
+  },
+  {
+    id: 'early-bird',
+    title: 'Early Bird',
+    description: 'Train before 7am on 5 days',
+    tier: 'silver',
+    metric: 'earlyDays',
+    goal: 5,
+    beforeHour: 7
+  },
+  {
+    id: 'ten-day-streak',
+    title: 'On Fire',
+    description: 'Train 10 days in a row',
+    tier: 'silver',
+    metric: 'dayStreak',
+    goal: 10
+  },
+  {
+    id: 'full-body-week',
+    title: 'Full Coverage',
+    description: 'Train every muscle group in one week',
+    tier: 'silver',
+    metric: 'groupsInWeek',
+    goal: 'all'
+  },
+  {
+    id: 'thousand-sets',
+    title: 'Iron Regular',
+    description: 'Log 1,000 sets',
+    tier: 'gold',
+    metric: 'lifetimeSets',
+    goal: 1000
+  }
+];
+
+// "Achievement unlocked: On Fire" / "3 achievements unlocked: ..."
+export const formatUnlockMessage = (achievements) => {
+  const titles = achievements.map(achievement => achievement.title).join(', ');
+  return achievements.length === 1
+    ? `Achievement unlocked: ${titles}`
+    : `${achievements.length} achievements unlocked: ${titles}`;
+};
@@ -0,0 +1,133 @@
+import { normalizeWorkout } from './workoutRecords';
+import { sanitizeVolumeTargets } from './volumeTargets';
+import { sanitizeBodyEntries } from './bodyMetrics';
+
+// Bump when the backup layout changes; older files stay importable
+export const BACKUP_VERSION = 1;
+const BACKUP_APP_ID = 'GymTracker';
+
+export const createBackup = ({ workouts, exercises = [], sessions = [], templates = [], programs = [], volumeTargets = {}, bodyMetrics = [] }) => ({
+  app: BACKUP_APP_ID,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  workouts,
+  exercises,
+  sessions,
+  templates,
+  programs,
+  volumeTargets,
+  bodyMetrics
+});
+
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+export const backupFilename = (extension) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  return `gymtracker-backup-${stamp}.${extension}`;
+};
+
+const isValidWorkout = (workout, bodyPartNames) => {
+  if (!workout || typeof workout !== 'object') return false;
+  if (typeof workout.id !== 'number' && typeof workout.id !== 'string') return false;
+  if (isNaN(new Date(workout.date).getTime())) return false;
+  if (!workout.bodyPart || !bodyPartNames.includes(workout.bodyPart.name)) return false;
+  return Array.isArray(workout.sets) || workout.sets === undefined || typeof workout.sets === 'number';
+};
+
+// Parse and validate a backup file. Throws an Error with a user-facing message.
+export const parseBackup = (text, bodyPartNames) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('This file is not valid JSON.');
+  }
+
+  if (!data || data.app !== BACKUP_APP_ID) {
+    throw new Error('This file is not a GymTracker backup.');
+  }
+  if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+    throw new Error('This backup was made by a newer version of GymTracker.');
+  }
+  if (!Array.isArray(data.workouts)) {
+    throw new Error('The backup does not contain a workout list.');
+  }
+
+  const invalidCount = data.workouts.filter(workout => !isValidWorkout(workout, bodyPartNames)).length;
+  if (invalidCount > 0) {
+    throw new Error(`${invalidCount} workout ${invalidCount === 1 ? 'record is' : 'records are'} malformed.`);
+  }
+
+  const exercises = Array.isArray(data.exercises)
+    ? data.exercises.filter(exercise => exercise && exercise.id && exercise.name && exercise.primary)
+    : [];
+
+  // Backups made before sessions, templates and programs existed have none
+  const sessions = Array.isArray(data.sessions)
+    ? data.sessions.filter(session => session && session.id && !isNaN(new Date(session.startedAt).getTime()))
+    : [];
+  const templates = Array.isArray(data.templates)
+    ? data.templates.filter(template => template && template.id && template.name && Array.isArray(template.items))
+    : [];
+  const programs = Array.isArray(data.programs)
+    ? data.programs.filter(program => program && program.id && program.schedule && !isNaN(new Date(program.startDate).getTime()))
+    : [];
+
+  // Backups made before body metrics existed have none
+  const bodyMetrics = sanitizeBodyEntries(data.bodyMetrics);
+
+  // Null when the backup predates volume targets, so the current ones are kept
+  const volumeTargets = data.volumeTargets ? sanitizeVolumeTargets(data.volumeTargets, bodyPartNames) : null;
+
+  return {
+    workouts: data.workouts.map(normalizeWorkout),
+    exercises,
+    sessions,
+    templates,
+    programs,
+    volumeTargets,
+    bodyMetrics
+  };
+};
+
+const dayKey = (workout) => new Date(workout.date).toDateString();
+
+// Summarize what an import would change before anything is written
+export const previewImport = (existing, incoming, mode) => {
+  if (mode === 'replace') {
+    const days = new Set([...existing.map(dayKey), ...incoming.map(dayKey)]);
+    return {
+      added: incoming.length,
+      removed: existing.length,
+      skipped: 0,
+      days: days.size
+    };
+  }
+
+  const existingIds = new Set(existing.map(workout => workout.id));
+  const added = incoming.filter(workout => !existingIds.has(workout.id));
+  return {
+    added: added.length,
+    removed: 0,
+    skipped: incoming.length - added.length,
+    days: new Set(added.map(dayKey)).size
+  };
+};
+
+// Merge keeps existing records when ids collide; replace discards them
+export const applyImport = (existing, incoming, mode) => {
+  if (mode === 'replace') return incoming;
+
+  const existingIds = new Set(existing.map(record => record.id));
+  return [...existing, ...incoming.filter(record => !existingIds.has(record.id))];
+};
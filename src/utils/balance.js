@@ -0,0 +1,46 @@
+// Muscle balance and neglect thresholds, stored under BALANCE_SETTINGS_KEY in
+// the meta store. A group counts as neglected once it goes `neglectDays`
+// without training; a ratio is off once one side has more than `maxRatio`
+// times the sets of the other over the last `windowDays`.
+
+export const BALANCE_SETTINGS_KEY = 'balanceSettings';
+
+export const DEFAULT_BALANCE_SETTINGS = { neglectDays: 10, maxRatio: 1.5, windowDays: 28 };
+
+export const NEGLECT_DAY_OPTIONS = [5, 7, 10, 14, 21];
+export const MAX_RATIO_OPTIONS = [1.25, 1.5, 2, 3];
+export const BALANCE_WINDOW_OPTIONS = [
+  { days: 14, label: '2 weeks' },
+  { days: 28, label: '4 weeks' },
+  { days: 56, label: '8 weeks' }
+];
+
+// Fewer sets than this on both sides together say nothing about balance
+export const MIN_RATIO_SETS = 10;
+
+// Each ratio compares the credited sets of two sides. Legs mixes front and
+// back of the body, and Cardio is not strength work, so neither takes part
+// in ratios they do not clearly belong to.
+export const BALANCE_RATIOS = [
+  {
+    id: 'pushPull',
+    first: { label: 'Push', groups: ['Chest', 'Shoulders', 'Triceps'] },
+    second: { label: 'Pull', groups: ['Back', 'Biceps'] }
+  },
+  {
+    id: 'upperLower',
+    first: { label: 'Upper', groups: ['Chest', 'Back', 'Shoulders', 'Biceps', 'Triceps'] },
+    second: { label: 'Lower', groups: ['Legs', 'Glutes'] }
+  },
+  {
+    id: 'anteriorPosterior',
+    first: { label: 'Anterior', groups: ['Chest', 'Shoulders', 'Biceps', 'Abs'] },
+    second: { label: 'Posterior', groups: ['Back', 'Triceps', 'Glutes'] }
+  }
+];
+
+// "2.5:1", or the heavier side alone when the other has no sets
+export const formatRatio = (first, second) => {
+  if (second === 0) return first === 0 ? '-' : `${first}:0`;
+  return `${Math.round((first / second) * 10) / 10}:1`;
+};
@@ -0,0 +1,50 @@
+// Body metric entries: one record per day holding whatever was measured that
+// day. Unmeasured fields stay null. Records live in their own store next to
+// workouts and are part of backups.
+
+export const BODY_METRICS = [
+  { id: 'weight', label: 'Bodyweight', unit: 'kg', max: 400 },
+  { id: 'bodyFat', label: 'Body fat', unit: '%', max: 75 },
+  { id: 'waist', label: 'Waist', unit: 'cm', max: 250 },
+  { id: 'chest', label: 'Chest', unit: 'cm', max: 250 },
+  { id: 'arm', label: 'Arm', unit: 'cm', max: 100 }
+];
+
+// Trailing window for the moving average line
+export const MOVING_AVERAGE_DAYS = 7;
+
+// `date` is the local midnight of the day the entry belongs to
+export const createBodyEntry = (date, values = {}) => {
+  const now = new Date().toISOString();
+  const entry = {
+    id: `body-${Date.now()}`,
+    date: date.toISOString(),
+    createdAt: now,
+    updatedAt: now
+  };
+  BODY_METRICS.forEach(metric => {
+    entry[metric.id] = values[metric.id] ?? null;
+  });
+  return entry;
+};
+
+export const hasBodyMeasurements = (entry) => BODY_METRICS.some(metric => entry[metric.id] !== null);
+
+// Drop entries with a bad date and out-of-range values, e.g. from an imported backup
+export const sanitizeBodyEntries = (entries) => {
+  if (!Array.isArray(entries)) return [];
+  return entries
+    .filter(entry => entry && entry.id && !isNaN(new Date(entry.date).getTime()))
+    .map(entry => {
+      const clean = { ...entry };
+      BODY_METRICS.forEach(metric => {
+        const value = Number(entry[metric.id]);
+        clean[metric.id] = entry[metric.id] !== null && Number.isFinite(value) && value > 0 && value <= metric.max ? value : null;
+      });
+      return clean;
+    })
+    .filter(hasBodyMeasurements);
+};
+
+// "1.5× BW"
+export const formatBodyweightMultiple = (multiple) => `${Math.round(multiple * 100) / 100}× BW`;
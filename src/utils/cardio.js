@@ -0,0 +1,95 @@
+// Cardio entries are workout records filed under the Cardio group that log
+// a `cardio` object instead of sets:
+// { activity, durationMinutes, distanceKm, avgHeartRate, zoneMinutes }
+// Unlogged fields stay null; `zoneMinutes` is null or minutes per heart-rate
+// zone, Z1 first.
+
+export const CARDIO_BODY_PART = 'Cardio';
+
+// `exerciseId` links catalog exercises to their activity
+export const CARDIO_ACTIVITIES = [
+  { id: 'run', label: 'Run', exerciseId: 'running' },
+  { id: 'cycle', label: 'Cycle', exerciseId: 'cycling' },
+  { id: 'row', label: 'Row', exerciseId: 'rowing-machine' },
+  { id: 'swim', label: 'Swim', exerciseId: null },
+  { id: 'walk', label: 'Walk', exerciseId: null },
+  { id: 'stairs', label: 'Stairs', exerciseId: 'stair-climber' },
+  { id: 'jumpRope', label: 'Jump rope', exerciseId: 'jump-rope' },
+  { id: 'elliptical', label: 'Elliptical', exerciseId: 'elliptical' },
+  { id: 'other', label: 'Other', exerciseId: null }
+];
+
+export const HEART_RATE_ZONES = [
+  { label: 'Z1', name: 'Recovery', color: '#94a3b8' }, // slate-400
+  { label: 'Z2', name: 'Endurance', color: '#38bdf8' }, // sky-400
+  { label: 'Z3', name: 'Tempo', color: '#4ade80' }, // green-400
+  { label: 'Z4', name: 'Threshold', color: '#fb923c' }, // orange-400
+  { label: 'Z5', name: 'Max', color: '#f87171' } // red-400
+];
+
+export const isCardioPart = (part) => part.name === CARDIO_BODY_PART;
+
+export const isCardioWorkout = (workout) => isCardioPart(workout.bodyPart);
+
+export const createCardio = (exercise = null) => {
+  const activity = exercise && CARDIO_ACTIVITIES.find(option => option.exerciseId === exercise.id);
+  return {
+    activity: activity ? activity.id : 'other',
+    durationMinutes: null,
+    distanceKm: null,
+    avgHeartRate: null,
+    zoneMinutes: null
+  };
+};
+
+// Entries logged before cardio tracking only have sets
+export const getCardio = (workout) => workout.cardio || createCardio(workout.exercise);
+
+export const getActivityLabel = (activityId) => {
+  const activity = CARDIO_ACTIVITIES.find(option => option.id === activityId);
+  return activity ? activity.label : 'Other';
+};
+
+// Minutes per km, or null without both duration and distance
+export const getPace = (cardio) => {
+  if (!cardio || !cardio.durationMinutes || !cardio.distanceKm) return null;
+  return cardio.durationMinutes / cardio.distanceKm;
+};
+
+// "5:30 /km"
+export const formatPace = (minutesPerKm) => {
+  const totalSeconds = Math.round(minutesPerKm * 60);
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')} /km`;
+};
+
+export const formatDistance = (km) => `${Math.round(km * 10) / 10} km`;
+
+// Summed minutes to one decimal, since imports and the form allow fractions
+export const roundMinutes = (minutes) => Math.round(minutes * 10) / 10;
+
+// "30 min · 5 km · 6:00 /km · 145 bpm", skipping whatever was not logged
+export const formatCardioSummary = (cardio) => {
+  if (!cardio) return '';
+  const pace = getPace(cardio);
+  return [
+    cardio.durationMinutes && `${cardio.durationMinutes} min`,
+    cardio.distanceKm && formatDistance(cardio.distanceKm),
+    pace && formatPace(pace),
+    cardio.avgHeartRate && `${cardio.avgHeartRate} bpm`
+  ].filter(Boolean).join(' · ');
+};
+
+// Minutes, distance and entry count over the cardio entries in `workouts`
+export const sumCardio = (workouts) => {
+  return workouts.filter(isCardioWorkout).reduce((totals, workout) => ({
+    minutes: totals.minutes + (workout.cardio?.durationMinutes || 0),
+    distanceKm: totals.distanceKm + (workout.cardio?.distanceKm || 0),
+    count: totals.count + 1
+  }), { minutes: 0, distanceKm: 0, count: 0 });
+};
+
+// "45 min · 8.2 km", or just the minutes when no distance was logged
+export const formatCardioTotals = ({ minutes, distanceKm }) => {
+  const time = `${roundMinutes(minutes)} min`;
+  return distanceKm > 0 ? `${time} · ${formatDistance(distanceKm)}` : time;
+};
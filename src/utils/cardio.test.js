@@ -0,0 +1,19 @@
+import { sumCardio, formatCardioTotals, roundMinutes } from './cardio';
+
+const run = (durationMinutes, distanceKm = null) => ({
+  bodyPart: { name: 'Cardio', icon: 'cardio' },
+  sets: [],
+  cardio: { activity: 'run', durationMinutes, distanceKm, avgHeartRate: null, zoneMinutes: null }
+});
+
+describe('formatCardioTotals', () => {
+  test('rounds summed fractional minutes to one decimal', () => {
+    const totals = sumCardio([run(14.1), run(14.2)]);
+    expect(formatCardioTotals(totals)).toBe('28.3 min');
+    expect(roundMinutes(totals.minutes)).toBe(28.3);
+  });
+
+  test('adds the distance when one was logged', () => {
+    expect(formatCardioTotals(sumCardio([run(30, 5.04), run(15.5, 2.1)]))).toBe('45.5 min · 7.1 km');
+  });
+});
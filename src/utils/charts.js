@@ -0,0 +1,42 @@
+// Helpers for the SVG charts. Series points are { date: Date, value: number }.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Least-squares line through the points. `slope` is per day. Null when there
+// are fewer than two distinct dates to fit.
+export const getLinearTrend = (points) => {
+  if (points.length < 2) return null;
+
+  const xs = points.map(point => point.date.getTime() / DAY_MS);
+  const ys = points.map(point => point.value);
+  const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+  const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+
+  let numerator = 0;
+  let denominator = 0;
+  xs.forEach((x, index) => {
+    numerator += (x - meanX) * (ys[index] - meanY);
+    denominator += (x - meanX) ** 2;
+  });
+  if (denominator === 0) return null;
+
+  const slope = numerator / denominator;
+  const valueAt = (date) => meanY + slope * (date.getTime() / DAY_MS - meanX);
+  return { slope, valueAt };
+};
+
+// Round an axis maximum up to 1, 2 or 5 times a power of ten
+export const getNiceMax = (value) => {
+  if (value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= value);
+  return step * magnitude;
+};
+
+// Index of the point whose date is closest to `time` (ms)
+export const getNearestIndex = (points, time) => {
+  return points.reduce((nearest, point, index) => {
+    const distance = Math.abs(point.date.getTime() - time);
+    return nearest === -1 || distance < Math.abs(points[nearest].date.getTime() - time) ? index : nearest;
+  }, -1);
+};
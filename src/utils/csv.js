@@ -0,0 +1,318 @@
+import { createSet, normalizeWorkout, parseSetValue } from './workoutRecords';
+import { toDateInputValue } from './dates';
+import { isCardioPart, isCardioWorkout, getCardio, createCardio } from './cardio';
+
+const LB_TO_KG = 0.45359237;
+
+export const CSV_COLUMNS = [
+  'date', 'time', 'muscle_group', 'exercise', 'set_index', 'weight_kg', 'reps', 'rpe', 'rest_seconds',
+  'duration_min', 'distance_km', 'avg_hr', 'workout_id'
+];
+
+// Column layouts we can read. `detect` lists headers that identify the layout;
+// the other keys name the column holding each field.
+const CSV_LAYOUTS = {
+  gymtracker: {
+    label: 'GymTracker',
+    detect: ['date', 'muscle_group', 'set_index'],
+    date: 'date',
+    time: 'time',
+    muscleGroup: 'muscle_group',
+    exercise: 'exercise',
+    weight: 'weight_kg',
+    reps: 'reps',
+    rpe: 'rpe',
+    rest: 'rest_seconds',
+    duration: 'duration_min',
+    distance: 'distance_km',
+    heartRate: 'avg_hr',
+    session: 'workout_id',
+    weightUnit: 'kg'
+  },
+  strong: {
+    label: 'Strong',
+    detect: ['Date', 'Exercise Name', 'Set Order'],
+    date: 'Date',
+    exercise: 'Exercise Name',
+    weight: 'Weight',
+    reps: 'Reps',
+    rpe: 'RPE',
+    durationSeconds: 'Seconds',
+    distance: 'Distance',
+    session: 'Date'
+  },
+  hevy: {
+    label: 'Hevy',
+    detect: ['start_time', 'exercise_title', 'set_index'],
+    date: 'start_time',
+    exercise: 'exercise_title',
+    weight: 'weight_kg',
+    weightLb: 'weight_lbs',
+    reps: 'reps',
+    rpe: 'rpe',
+    durationSeconds: 'duration_seconds',
+    distance: 'distance_km',
+    session: 'start_time',
+    weightUnit: 'kg'
+  }
+};
+
+// Fallback for exercise names that are not in the library
+const MUSCLE_KEYWORDS = [
+  ['Biceps', ['curl']],
+  ['Triceps', ['tricep', 'pushdown', 'skull', 'dip']],
+  ['Chest', ['bench', 'chest', 'fly', 'pec', 'push up', 'push-up']],
+  ['Back', ['row', 'pull', 'lat ', 'deadlift', 'chin']],
+  ['Shoulders', ['shoulder', 'overhead', 'lateral', 'delt', 'military', 'shrug']],
+  ['Glutes', ['glute', 'hip thrust', 'kickback', 'abduct']],
+  ['Legs', ['squat', 'leg', 'lunge', 'calf', 'hamstring', 'step up']],
+  ['Abs', ['crunch', 'plank', 'ab ', 'abs', 'sit up', 'sit-up', 'oblique', 'twist']],
+  ['Cardio', ['run', 'cycl', 'bike', 'rowing', 'elliptical', 'treadmill', 'walk', 'swim', 'stair', 'rope']]
+];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Flat one-row-per-set export; cardio entries get a single row with their
+// duration, distance and heart rate instead. Filters are optional: `from`/`to` are Dates,
+// `muscleGroup` is a body part name.
+export const workoutsToCsv = (workouts, { from = null, to = null, muscleGroup = '' } = {}) => {
+  const rows = workouts
+    .map(normalizeWorkout)
+    .filter(workout => {
+      const date = new Date(workout.date);
+      if (from && date < from) return false;
+      if (to && date > to) return false;
+      return !muscleGroup || workout.bodyPart.name === muscleGroup;
+    })
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .flatMap(workout => {
+      const timestamp = new Date(workout.timestamp);
+      const time = isNaN(timestamp.getTime())
+        ? ''
+        : timestamp.toTimeString().slice(0, 5);
+
+      const leading = [
+        toDateInputValue(new Date(workout.date)),
+        time,
+        workout.bodyPart.name,
+        workout.exercise ? workout.exercise.name : ''
+      ];
+
+      if (isCardioWorkout(workout)) {
+        const cardio = getCardio(workout);
+        return [[...leading, '', '', '', '', '', cardio.durationMinutes, cardio.distanceKm, cardio.avgHeartRate, workout.id]];
+      }
+
+      return workout.sets.map((set, index) => [
+        ...leading,
+        index + 1,
+        set.weight,
+        set.reps,
+        set.rpe,
+        set.restSeconds,
+        '',
+        '',
+        '',
+        workout.id
+      ]);
+    });
+
+  return [CSV_COLUMNS, ...rows]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\n');
+};
+
+// RFC 4180-style parser: quoted fields may contain commas, quotes and newlines
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+export const detectCsvLayout = (headers) => {
+  const entry = Object.entries(CSV_LAYOUTS).find(([, layout]) =>
+    layout.detect.every(column => headers.includes(column))
+  );
+  return entry ? entry[0] : null;
+};
+
+// Accepts "2023-01-15", "2023-01-15 08:30:00" and Hevy's "15 Jan 2023, 08:30"
+// as local time; anything else falls back to the Date parser.
+const parseDateTime = (dateValue, timeValue = '') => {
+  const value = `${dateValue} ${timeValue}`.trim();
+
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  if (match) {
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+    return new Date(year, month - 1, day, hours, minutes, seconds);
+  }
+
+  match = value.match(/^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4}),? (\d{1,2}):(\d{2})/);
+  if (match) {
+    const [, day, monthName, year, hours, minutes] = match;
+    const month = MONTHS.indexOf(monthName.toLowerCase());
+    if (month !== -1) return new Date(year, month, day, hours, minutes);
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const normalizeName = (name) => name.toLowerCase().replace(/\(.*?\)/g, '').replace(/\s+/g, ' ').trim();
+
+const slugify = (text) => text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+const guessMuscleGroup = (exerciseName) => {
+  const name = ` ${exerciseName.toLowerCase()} `;
+  const entry = MUSCLE_KEYWORDS.find(([, keywords]) => keywords.some(keyword => name.includes(keyword)));
+  return entry ? entry[0] : null;
+};
+
+// Convert a CSV export (ours, Strong or Hevy) into workout records.
+// Throws an Error with a user-facing message when the layout is unknown.
+export const csvToWorkouts = (text, { bodyParts, exercises, weightUnit = 'kg' }) => {
+  const [headers = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const trimmedHeaders = headers.map(header => header.trim());
+  const layoutName = detectCsvLayout(trimmedHeaders);
+  if (!layoutName) {
+    throw new Error('Unrecognized CSV columns. Supported layouts: GymTracker, Strong and Hevy exports.');
+  }
+
+  const layout = CSV_LAYOUTS[layoutName];
+  const column = (row, key) => {
+    const index = layout[key] ? trimmedHeaders.indexOf(layout[key]) : -1;
+    return index === -1 ? '' : (row[index] || '').trim();
+  };
+
+  const exercisesByName = new Map(exercises.map(exercise => [normalizeName(exercise.name), exercise]));
+  const grouped = new Map();
+  const unmapped = new Set();
+  let skipped = 0;
+
+  rows.forEach(row => {
+    const timestamp = parseDateTime(column(row, 'date'), column(row, 'time'));
+    const exerciseName = column(row, 'exercise');
+    const libraryExercise = exerciseName ? exercisesByName.get(normalizeName(exerciseName)) : null;
+    const groupName = column(row, 'muscleGroup')
+      || (libraryExercise && libraryExercise.primary)
+      || (exerciseName && guessMuscleGroup(exerciseName));
+    const bodyPart = bodyParts.find(part => part.name === groupName);
+
+    if (!timestamp || !bodyPart) {
+      if (exerciseName && timestamp) unmapped.add(exerciseName);
+      skipped++;
+      return;
+    }
+
+    const session = column(row, 'session') || toDateInputValue(timestamp);
+    const key = layoutName === 'gymtracker' ? session : `${session}|${exerciseName || groupName}`;
+
+    if (!grouped.has(key)) {
+      const date = new Date(timestamp);
+      date.setHours(0, 0, 0, 0);
+
+      let exercise = null;
+      if (libraryExercise) {
+        exercise = { id: libraryExercise.id, name: libraryExercise.name, secondary: libraryExercise.secondary };
+      } else if (exerciseName) {
+        exercise = { id: `import-${slugify(exerciseName)}`, name: exerciseName, secondary: [] };
+      }
+
+      // Keep our own ids so a re-import deduplicates; third-party rows get a
+      // stable id derived from the session and exercise for the same reason
+      const numericId = Number(session);
+      const id = layoutName === 'gymtracker'
+        ? (session !== '' && !isNaN(numericId) ? numericId : session)
+        : `csv-${layoutName}-${slugify(key)}`;
+
+      grouped.set(key, {
+        id,
+        date: date.toISOString(),
+        bodyPart,
+        exercise,
+        timestamp: timestamp.toISOString(),
+        sets: [],
+        ...(isCardioPart(bodyPart) && { cardio: createCardio(exercise) })
+      });
+    }
+
+    // Cardio rows add up into one entry, e.g. the intervals of a Strong run
+    if (isCardioPart(bodyPart)) {
+      const cardio = grouped.get(key).cardio;
+      const seconds = parseSetValue(column(row, 'durationSeconds'));
+      const minutes = seconds !== null ? Math.round((seconds / 60) * 10) / 10 : parseSetValue(column(row, 'duration'));
+      const distance = parseSetValue(column(row, 'distance'));
+      const heartRate = parseSetValue(column(row, 'heartRate'));
+      if (minutes !== null) cardio.durationMinutes = (cardio.durationMinutes || 0) + minutes;
+      if (distance !== null) cardio.distanceKm = (cardio.distanceKm || 0) + distance;
+      if (heartRate !== null) cardio.avgHeartRate = heartRate;
+      return;
+    }
+
+    let weight = parseSetValue(column(row, 'weight'));
+    if (weight === null && layout.weightLb) {
+      const pounds = parseSetValue(column(row, 'weightLb'));
+      weight = pounds === null ? null : Math.round(pounds * LB_TO_KG * 10) / 10;
+    } else if (weight !== null && (layout.weightUnit || weightUnit) === 'lb') {
+      weight = Math.round(weight * LB_TO_KG * 10) / 10;
+    }
+
+    grouped.get(key).sets.push({
+      ...createSet(),
+      weight,
+      reps: parseSetValue(column(row, 'reps')),
+      rpe: parseSetValue(column(row, 'rpe')),
+      restSeconds: parseSetValue(column(row, 'rest')),
+      timestamp: timestamp.toISOString()
+    });
+  });
+
+  return {
+    layout: layout.label,
+    workouts: Array.from(grouped.values()),
+    skipped,
+    unmapped: Array.from(unmapped)
+  };
+};
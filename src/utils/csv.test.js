@@ -0,0 +1,78 @@
+import bodyParts from '../data/bodyParts';
+import exerciseCatalog from '../data/exerciseCatalog';
+import { workoutsToCsv, csvToWorkouts, parseCsv, CSV_COLUMNS } from './csv';
+
+const part = (name) => bodyParts.find(p => p.name === name);
+const running = exerciseCatalog.find(exercise => exercise.id === 'running');
+
+const run = {
+  id: 1,
+  date: new Date(2024, 5, 3).toISOString(),
+  bodyPart: part('Cardio'),
+  exercise: { id: running.id, name: running.name, secondary: running.secondary },
+  timestamp: new Date(2024, 5, 3, 7, 15).toISOString(),
+  sets: [],
+  cardio: { activity: 'run', durationMinutes: 30, distanceKm: 5, avgHeartRate: 148, zoneMinutes: null }
+};
+
+const bench = {
+  id: 2,
+  date: new Date(2024, 5, 3).toISOString(),
+  bodyPart: part('Chest'),
+  exercise: null,
+  timestamp: new Date(2024, 5, 3, 18, 0).toISOString(),
+  sets: [
+    { weight: 80, reps: 8, rpe: null, restSeconds: null, timestamp: new Date(2024, 5, 3, 18, 0).toISOString() },
+    { weight: 85, reps: 6, rpe: 8, restSeconds: 120, timestamp: new Date(2024, 5, 3, 18, 3).toISOString() }
+  ]
+};
+
+const toObjects = (csv) => {
+  const [headers, ...rows] = parseCsv(csv);
+  return rows.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index]])));
+};
+
+describe('workoutsToCsv', () => {
+  test('writes one row per set and one row per cardio entry', () => {
+    const rows = toObjects(workoutsToCsv([run, bench]));
+
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({ muscle_group: 'Cardio', set_index: '', duration_min: '30', distance_km: '5', avg_hr: '148' });
+    expect(rows[1]).toMatchObject({ muscle_group: 'Chest', set_index: '1', weight_kg: '80', reps: '8', duration_min: '' });
+    expect(rows[2]).toMatchObject({ set_index: '2', rpe: '8', rest_seconds: '120' });
+  });
+
+  test('keeps the header when nothing matches the filters', () => {
+    expect(workoutsToCsv([run], { muscleGroup: 'Back' })).toBe(CSV_COLUMNS.join(','));
+  });
+});
+
+describe('csvToWorkouts', () => {
+  const options = { bodyParts, exercises: exerciseCatalog };
+
+  test('round-trips cardio entries through our own export', () => {
+    const { workouts } = csvToWorkouts(workoutsToCsv([run, bench]), options);
+    const imported = workouts.find(workout => workout.bodyPart.name === 'Cardio');
+
+    expect(imported.sets).toEqual([]);
+    expect(imported.cardio).toEqual({ activity: 'run', durationMinutes: 30, distanceKm: 5, avgHeartRate: 148, zoneMinutes: null });
+    expect(workouts.find(workout => workout.bodyPart.name === 'Chest').sets.map(set => set.weight)).toEqual([80, 85]);
+  });
+
+  test('reads Strong distance and seconds into one cardio entry', () => {
+    const csv = [
+      'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+      '2024-06-03 07:00:00,Morning,35m,Running,1,0,0,3,900,,,',
+      '2024-06-03 07:00:00,Morning,35m,Running,2,0,0,2.5,840,,,',
+      '2024-06-03 07:00:00,Morning,35m,Bench Press (Barbell),1,80,8,0,0,,,'
+    ].join('\n');
+
+    const { layout, workouts } = csvToWorkouts(csv, options);
+    const imported = workouts.find(workout => workout.bodyPart.name === 'Cardio');
+
+    expect(layout).toBe('Strong');
+    expect(imported.sets).toEqual([]);
+    expect(imported.cardio).toMatchObject({ activity: 'run', durationMinutes: 29, distanceKm: 5.5, avgHeartRate: null });
+    expect(workouts.find(workout => workout.bodyPart.name === 'Chest').sets).toHaveLength(1);
+  });
+});
@@ -0,0 +1,144 @@
+import { SCHEMA_VERSION, runMigrations } from './migrations';
+
+// IndexedDB access for GymTracker. Workouts are written incrementally: only
+// records that changed since the last save are put or deleted. The schema is
+// owned by ./migrations; bumping it means adding a migration there.
+
+export const DB_NAME = 'GymTrackerDB';
+export const WORKOUT_STORE = 'workouts';
+export const EXERCISE_STORE = 'exercises';
+export const META_STORE = 'meta';
+export const SESSION_STORE = 'sessions';
+export const TEMPLATE_STORE = 'templates';
+export const PROGRAM_STORE = 'programs';
+export const BODY_METRIC_STORE = 'bodyMetrics';
+export const DB_VERSION = SCHEMA_VERSION;
+
+let databasePromise = null;
+
+export const openDatabase = () => {
+  if (databasePromise) return databasePromise;
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      runMigrations(event.target.result, event.target.transaction, event.oldVersion);
+    };
+
+    request.onsuccess = (event) => {
+      const db = event.target.result;
+      // Another tab is upgrading the schema: let it, and reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        databasePromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = (event) => {
+      databasePromise = null;
+      reject('Error opening database: ' + event.target.error);
+    };
+  });
+
+  return databasePromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = (event) => reject(event.target.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = (event) => reject(event.target.error);
+  transaction.onabort = (event) => reject(event.target.error);
+});
+
+export const getAllRecords = async (storeName) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([storeName], 'readonly');
+  return requestToPromise(transaction.objectStore(storeName).getAll());
+};
+
+// Compare the last persisted snapshot with the current list. State updates
+// are immutable, so an unchanged record keeps its object identity.
+export const diffRecords = (persisted, current) => {
+  const currentIds = new Set();
+  const puts = [];
+
+  current.forEach(record => {
+    currentIds.add(record.id);
+    if (persisted.get(record.id) !== record) {
+      puts.push(record);
+    }
+  });
+
+  const deletes = [];
+  persisted.forEach((_, id) => {
+    if (!currentIds.has(id)) deletes.push(id);
+  });
+
+  return { puts, deletes };
+};
+
+// Apply puts and deletes in one transaction so a crash leaves either the old
+// or the new state, never a half-written mix.
+export const applyRecordChanges = async (storeName, { puts, deletes }) => {
+  if (puts.length === 0 && deletes.length === 0) return;
+
+  const db = await openDatabase();
+  const transaction = db.transaction([storeName], 'readwrite');
+  const store = transaction.objectStore(storeName);
+
+  puts.forEach(record => store.put(record));
+  deletes.forEach(id => store.delete(id));
+
+  await transactionDone(transaction);
+};
+
+export const putRecord = (storeName, record) => applyRecordChanges(storeName, { puts: [record], deletes: [] });
+
+export const deleteRecord = (storeName, id) => applyRecordChanges(storeName, { puts: [], deletes: [id] });
+
+// Replace the contents of several stores and meta values in one transaction,
+// so a failed write leaves all of them as they were
+export const replaceStores = async (recordsByStore, metaValues = {}) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([...Object.keys(recordsByStore), META_STORE], 'readwrite');
+
+  const done = transactionDone(transaction);
+  try {
+    Object.entries(recordsByStore).forEach(([storeName, records]) => {
+      const store = transaction.objectStore(storeName);
+      store.clear();
+      records.forEach(record => store.put(record));
+    });
+    Object.entries(metaValues).forEach(([key, value]) => {
+      transaction.objectStore(META_STORE).put({ key, value });
+    });
+  } catch (error) {
+    // e.g. a record without an id; abort so the clears are rolled back too
+    transaction.abort();
+    done.catch(() => {});
+    throw error;
+  }
+
+  await done;
+};
+
+// Small key/value settings live in the meta store next to the migration log
+export const getMetaValue = async (key) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE], 'readonly');
+  const entry = await requestToPromise(transaction.objectStore(META_STORE).get(key));
+  return entry ? entry.value : undefined;
+};
+
+export const putMetaValue = async (key, value) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([META_STORE], 'readwrite');
+  transaction.objectStore(META_STORE).put({ key, value });
+  await transactionDone(transaction);
+};
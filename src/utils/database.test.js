@@ -0,0 +1,57 @@
+import 'fake-indexeddb/auto';
+import {
+  WORKOUT_STORE,
+  SESSION_STORE,
+  TEMPLATE_STORE,
+  PROGRAM_STORE,
+  getAllRecords,
+  putRecord,
+  getMetaValue,
+  putMetaValue,
+  replaceStores
+} from './database';
+
+describe('replaceStores', () => {
+  test('replaces every store and meta value together', async () => {
+    await putRecord(TEMPLATE_STORE, { id: 'old-template' });
+    await replaceStores(
+      { [TEMPLATE_STORE]: [{ id: 'a' }, { id: 'b' }], [PROGRAM_STORE]: [{ id: 'p' }] },
+      { volumeTargets: { Chest: { min: 10, max: 14 } } }
+    );
+
+    expect((await getAllRecords(TEMPLATE_STORE)).map(record => record.id)).toEqual(['a', 'b']);
+    expect((await getAllRecords(PROGRAM_STORE)).map(record => record.id)).toEqual(['p']);
+    expect(await getMetaValue('volumeTargets')).toEqual({ Chest: { min: 10, max: 14 } });
+  });
+
+  test('leaves everything as it was when one write fails', async () => {
+    await replaceStores({ [TEMPLATE_STORE]: [{ id: 'kept' }], [PROGRAM_STORE]: [{ id: 'kept' }] });
+    await putMetaValue('volumeTargets', { Back: { min: 4, max: 6 } });
+
+    // The program is missing its key path, so the put throws
+    await expect(replaceStores(
+      { [TEMPLATE_STORE]: [{ id: 'new' }], [PROGRAM_STORE]: [{ name: 'no id' }] },
+      { volumeTargets: {} }
+    )).rejects.toThrow();
+
+    expect((await getAllRecords(TEMPLATE_STORE)).map(record => record.id)).toEqual(['kept']);
+    expect((await getAllRecords(PROGRAM_STORE)).map(record => record.id)).toEqual(['kept']);
+    expect(await getMetaValue('volumeTargets')).toEqual({ Back: { min: 4, max: 6 } });
+  });
+
+  test('rolls back the other stores when a workout record is bad', async () => {
+    await replaceStores({
+      [WORKOUT_STORE]: [{ id: 1, date: '2024-06-03T00:00:00.000Z', bodyPart: { name: 'Chest' } }],
+      [SESSION_STORE]: [{ id: 'old-session', date: '2024-06-03T00:00:00.000Z' }]
+    });
+
+    // A workout without an id, e.g. from a hand-edited backup
+    await expect(replaceStores({
+      [WORKOUT_STORE]: [{ date: '2024-06-04T00:00:00.000Z', bodyPart: { name: 'Back' } }],
+      [SESSION_STORE]: [{ id: 'new-session', date: '2024-06-04T00:00:00.000Z' }]
+    })).rejects.toThrow();
+
+    expect((await getAllRecords(WORKOUT_STORE)).map(record => record.id)).toEqual([1]);
+    expect((await getAllRecords(SESSION_STORE)).map(record => record.id)).toEqual(['old-session']);
+  });
+});
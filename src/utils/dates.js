@@ -0,0 +1,12 @@
+// Local calendar date <-> <input type="date"> value (YYYY-MM-DD)
+export const toDateInputValue = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export const fromDateInputValue = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  if (!year || !month || !day) return null;
+  return new Date(year, month - 1, day);
+};
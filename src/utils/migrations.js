@@ -0,0 +1,133 @@
+// Schema migrations, applied in order from inside `onupgradeneeded`. Each entry
+// upgrades the database to its `version`; never edit or reorder a shipped
+// migration, add a new one instead. `migrate` receives the database and the
+// versionchange transaction, and must only issue requests on that transaction.
+// Migrations keep their own copy of any record transform rather than calling
+// the app's helpers, whose record shape moves on.
+
+// Set-list shape as of v4: a bare count becomes that many empty sets stamped
+// with the workout's own time
+const toSetListV4 = (workout) => ({
+  ...workout,
+  sets: Array.from({ length: workout.sets || 1 }, () => ({
+    weight: null,
+    reps: null,
+    rpe: null,
+    timestamp: workout.timestamp
+  }))
+});
+
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create workouts store',
+    migrate: (db) => {
+      if (!db.objectStoreNames.contains('workouts')) {
+        db.createObjectStore('workouts', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 2,
+    description: 'Create custom exercises store',
+    migrate: (db) => {
+      if (!db.objectStoreNames.contains('exercises')) {
+        db.createObjectStore('exercises', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 3,
+    description: 'Create metadata store for the migration log',
+    migrate: (db) => {
+      if (!db.objectStoreNames.contains('meta')) {
+        db.createObjectStore('meta', { keyPath: 'key' });
+      }
+    }
+  },
+  {
+    version: 4,
+    description: 'Convert set counts to per-set records',
+    migrate: (db, transaction) => {
+      const request = transaction.objectStore('workouts').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return;
+        if (!Array.isArray(cursor.value.sets)) {
+          cursor.update(toSetListV4(cursor.value));
+        }
+        cursor.continue();
+      };
+    }
+  },
+  {
+    version: 5,
+    description: 'Create workout sessions store',
+    migrate: (db) => {
+      if (!db.objectStoreNames.contains('sessions')) {
+        const store = db.createObjectStore('sessions', { keyPath: 'id' });
+        store.createIndex('date', 'date');
+      }
+    }
+  },
+  {
+    version: 6,
+    description: 'Create workout templates store',
+    migrate: (db) => {
+      if (!db.objectStoreNames.contains('templates')) {
+        db.createObjectStore('templates', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 7,
+    description: 'Create training programs store',
+    migrate: (db) => {
+      if (!db.objectStoreNames.contains('programs')) {
+        db.createObjectStore('programs', { keyPath: 'id' });
+      }
+    }
+  },
+  {
+    version: 8,
+    description: 'Create body metrics store',
+    migrate: (db) => {
+      if (!db.objectStoreNames.contains('bodyMetrics')) {
+        const store = db.createObjectStore('bodyMetrics', { keyPath: 'id' });
+        store.createIndex('date', 'date');
+      }
+    }
+  }
+];
+
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+export const MIGRATION_LOG_KEY = 'migrations';
+
+// Run every migration newer than `oldVersion` and append them to the log kept
+// in the `meta` store. Returns the migrations that were applied.
+export const runMigrations = (db, transaction, oldVersion, migrationList = migrations) => {
+  const pending = migrationList.filter(migration => migration.version > oldVersion);
+
+  pending.forEach(migration => {
+    migration.migrate(db, transaction);
+  });
+
+  if (pending.length > 0 && db.objectStoreNames.contains('meta')) {
+    const metaStore = transaction.objectStore('meta');
+    const request = metaStore.get(MIGRATION_LOG_KEY);
+    request.onsuccess = () => {
+      const appliedAt = new Date().toISOString();
+      const applied = request.result ? request.result.applied : [];
+      metaStore.put({
+        key: MIGRATION_LOG_KEY,
+        applied: [
+          ...applied,
+          ...pending.map(({ version, description }) => ({ version, description, fromVersion: oldVersion, appliedAt }))
+        ]
+      });
+    };
+  }
+
+  return pending;
+};
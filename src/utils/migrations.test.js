@@ -0,0 +1,117 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { migrations, runMigrations, SCHEMA_VERSION, MIGRATION_LOG_KEY } from './migrations';
+
+const DB_NAME = 'MigrationTestDB';
+
+// Open the database at `version`, running only the migrations that existed
+// then, the way a build from that time would have
+const openAt = (version) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, version);
+  request.onupgradeneeded = (event) => {
+    runMigrations(event.target.result, event.target.transaction, event.oldVersion, migrations.filter(m => m.version <= version));
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const run = (db, storeName, mode, action) => new Promise((resolve, reject) => {
+  const transaction = db.transaction([storeName], mode);
+  const request = action(transaction.objectStore(storeName));
+  transaction.oncomplete = () => resolve(request ? request.result : undefined);
+  transaction.onerror = () => reject(transaction.error);
+});
+
+const legacyWorkout = (id, sets) => ({
+  id,
+  date: '2024-05-25T00:00:00.000Z',
+  bodyPart: { name: 'Chest', icon: 'chest', emoji: '🍈' },
+  timestamp: '2024-05-25T18:30:00.000Z',
+  sets
+});
+
+// Seed legacy records at `fromVersion`, then upgrade to the current schema
+const upgradeFrom = async (fromVersion, workouts) => {
+  const oldDb = await openAt(fromVersion);
+  await run(oldDb, 'workouts', 'readwrite', store => { workouts.forEach(workout => store.put(workout)); });
+  oldDb.close();
+  return openAt(SCHEMA_VERSION);
+};
+
+const getLog = async (db) => {
+  const entry = await run(db, 'meta', 'readonly', store => store.get(MIGRATION_LOG_KEY));
+  return entry.applied;
+};
+
+beforeEach(() => {
+  global.indexedDB = new IDBFactory();
+});
+
+test('migrations are listed in ascending version order', () => {
+  migrations.forEach((migration, index) => {
+    expect(migration.version).toBe(index + 1);
+  });
+  expect(SCHEMA_VERSION).toBe(migrations.length);
+});
+
+test('a fresh install creates every store and index and logs all migrations', async () => {
+  const db = await openAt(SCHEMA_VERSION);
+
+  expect([...db.objectStoreNames].sort()).toEqual(
+    ['bodyMetrics', 'exercises', 'meta', 'programs', 'sessions', 'templates', 'workouts']
+  );
+  const transaction = db.transaction(['workouts', 'sessions', 'bodyMetrics'], 'readonly');
+  expect([...transaction.objectStore('workouts').indexNames]).toEqual([]);
+  expect([...transaction.objectStore('sessions').indexNames]).toEqual(['date']);
+  expect([...transaction.objectStore('bodyMetrics').indexNames]).toEqual(['date']);
+
+  const log = await getLog(db);
+  expect(log.map(entry => entry.version)).toEqual(migrations.map(m => m.version));
+  expect(log.every(entry => entry.fromVersion === 0)).toBe(true);
+  db.close();
+});
+
+test.each([1, 2, 3])('upgrading from v%i converts set counts to set lists', async (fromVersion) => {
+  const db = await upgradeFrom(fromVersion, [legacyWorkout(1, 3), legacyWorkout(2, 0)]);
+
+  const [first, second] = await run(db, 'workouts', 'readonly', store => store.getAll());
+  expect(first.sets).toEqual(Array.from({ length: 3 }, () => ({
+    weight: null,
+    reps: null,
+    rpe: null,
+    timestamp: '2024-05-25T18:30:00.000Z'
+  })));
+  // A zero count was shown as one set before the conversion
+  expect(second.sets).toHaveLength(1);
+  expect(first.bodyPart.name).toBe('Chest');
+
+  const upgrades = (await getLog(db)).filter(entry => entry.fromVersion === fromVersion);
+  expect(upgrades.map(entry => entry.version)).toEqual(
+    migrations.filter(m => m.version > fromVersion).map(m => m.version)
+  );
+  db.close();
+});
+
+test('upgrading from v3 keeps the earlier log entries', async () => {
+  const db = await upgradeFrom(3, []);
+  const log = await getLog(db);
+
+  expect(log.map(entry => entry.version)).toEqual(migrations.map(m => m.version));
+  expect(log.slice(0, 3).every(entry => entry.fromVersion === 0)).toBe(true);
+  expect(log.slice(3).every(entry => entry.fromVersion === 3)).toBe(true);
+  db.close();
+});
+
+test('upgrading from v4 only runs the newer migrations', async () => {
+  const db = await upgradeFrom(4, [legacyWorkout(1, 2)]);
+
+  // The set conversion already ran at v4, so records written since are left
+  // for normalizeWorkout to upgrade on read
+  const [workout] = await run(db, 'workouts', 'readonly', store => store.getAll());
+  expect(workout.sets).toBe(2);
+
+  const upgrades = (await getLog(db)).filter(entry => entry.fromVersion === 4);
+  expect(upgrades.map(entry => entry.version)).toEqual([5, 6, 7, 8]);
+  expect([...db.objectStoreNames]).toEqual(expect.arrayContaining(['sessions', 'templates', 'programs', 'bodyMetrics']));
+  db.close();
+});
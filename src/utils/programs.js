@@ -0,0 +1,102 @@
+import { startOfDay, addDays } from '../selectors/workoutSelectors';
+
+// Multi-week training programs. A program assigns templates to weekdays
+// (`schedule` is keyed by Date#getDay, 0 = Sunday) for `weeks` weeks from
+// `startDate`. Deload weeks run every template at reduced volume.
+//
+// Missed sessions can be shifted: each entry in `shifts` moves every
+// occurrence on or after `from` forward by `days`, applied in order. Skipped
+// occurrences are listed by their original date.
+
+export const DEFAULT_PROGRAM_WEEKS = 8;
+export const MAX_PROGRAM_WEEKS = 52;
+export const DELOAD_SET_FACTOR = 0.6;
+
+// Flag misses from the last week only; older ones are history, not a to-do
+export const MISSED_LOOKBACK_DAYS = 7;
+
+// Monday-first, for editors and labels
+export const WEEKDAYS = [
+  { day: 1, label: 'Mon' },
+  { day: 2, label: 'Tue' },
+  { day: 3, label: 'Wed' },
+  { day: 4, label: 'Thu' },
+  { day: 5, label: 'Fri' },
+  { day: 6, label: 'Sat' },
+  { day: 0, label: 'Sun' }
+];
+
+export const createProgram = (startDate) => {
+  const now = new Date().toISOString();
+  return {
+    id: `program-${Date.now()}`,
+    name: '',
+    startDate: startOfDay(startDate).toISOString(),
+    weeks: DEFAULT_PROGRAM_WEEKS,
+    schedule: {},
+    deloadWeeks: [],
+    shifts: [],
+    skipped: [],
+    active: true,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / (24 * 60 * 60 * 1000));
+
+// Every scheduled session with its actual (shifted) date, oldest first
+export const getProgramOccurrences = (program) => {
+  const start = startOfDay(new Date(program.startDate));
+  const occurrences = [];
+
+  for (let offset = 0; offset < program.weeks * 7; offset++) {
+    const originalDate = addDays(start, offset);
+    const templateId = program.schedule[originalDate.getDay()];
+    if (!templateId || program.skipped.includes(originalDate.toISOString())) continue;
+
+    const date = program.shifts.reduce((current, shift) => {
+      return current >= new Date(shift.from) ? addDays(current, shift.days) : current;
+    }, originalDate);
+
+    const week = Math.floor(offset / 7) + 1;
+    occurrences.push({
+      date,
+      originalDate,
+      week,
+      templateId,
+      isDeload: program.deloadWeeks.includes(week)
+    });
+  }
+
+  return occurrences;
+};
+
+export const getOccurrenceOn = (program, date) => {
+  const target = startOfDay(date).getTime();
+  return getProgramOccurrences(program).find(occurrence => occurrence.date.getTime() === target) || null;
+};
+
+// Program week (1-based) that `date` falls in, or null outside the program
+export const getProgramWeek = (program, date) => {
+  const days = daysBetween(new Date(program.startDate), date);
+  const week = Math.floor(days / 7) + 1;
+  return days >= 0 && week <= program.weeks ? week : null;
+};
+
+// Move the missed occurrence and everything after it so it lands on `today`
+export const shiftProgram = (program, occurrence, today) => ({
+  ...program,
+  shifts: [...program.shifts, { from: occurrence.date.toISOString(), days: daysBetween(occurrence.date, today) }]
+});
+
+export const skipOccurrence = (program, occurrence) => ({
+  ...program,
+  skipped: [...program.skipped, occurrence.originalDate.toISOString()]
+});
+
+// Deload weeks keep every exercise but cut the target sets
+export const applyDeload = (template) => ({
+  ...template,
+  items: template.items.map(item => ({ ...item, targetSets: Math.max(1, Math.round(item.targetSets * DELOAD_SET_FACTOR)) }))
+});
@@ -0,0 +1,94 @@
+import { estimateOneRepMax, DEFAULT_ONE_REP_MAX_FORMULA } from './records';
+
+// Progressive overload rules. Each rule looks at the previous session's sets
+// and proposes the next target weight and reps.
+
+export const PROGRESSION_SETTINGS_KEY = 'progressionRules';
+export const WEIGHT_INCREMENT_KG = 2.5;
+export const PERCENT_INCREMENT = 2.5;
+export const REP_RANGE = { min: 8, max: 12 };
+export const STALL_SESSIONS = 3;
+
+export const PROGRESSION_RULES = [
+  { id: 'linear', label: 'Linear', description: `+${WEIGHT_INCREMENT_KG}kg when every set hits its reps` },
+  { id: 'double', label: 'Double progression', description: `Add reps up to ${REP_RANGE.max}, then +${WEIGHT_INCREMENT_KG}kg and back to ${REP_RANGE.min}` },
+  { id: 'percentage', label: 'Percentage', description: `+${PERCENT_INCREMENT}% load when every set hits its reps` }
+];
+export const DEFAULT_PROGRESSION_RULE = 'double';
+
+// Round to 0.5kg so percentage jumps on light dumbbells still register
+const roundLoad = (weight) => Math.round(weight * 2) / 2;
+
+// Sets with both weight and reps filled in
+export const getCompletedSets = (sets) => sets.filter(set => set.weight !== null && set.reps !== null && set.reps > 0);
+
+// Heaviest completed set, most reps on ties
+export const getBestSet = (sets) => {
+  return getCompletedSets(sets).reduce((best, set) => {
+    if (!best || set.weight > best.weight || (set.weight === best.weight && set.reps > best.reps)) return set;
+    return best;
+  }, null);
+};
+
+// Next target for one exercise given the sets of its last session, or null
+// when that session has nothing to go on
+export const suggestProgression = (lastSets, ruleId = DEFAULT_PROGRESSION_RULE) => {
+  const working = getCompletedSets(lastSets);
+  const best = getBestSet(lastSets);
+  if (!best) return null;
+
+  // Working sets at the top weight; a dropped rep on any of them means repeat
+  const topSets = working.filter(set => set.weight === best.weight);
+  const targetReps = Math.max(...topSets.map(set => set.reps));
+  const allSetsHit = topSets.every(set => set.reps >= targetReps);
+  const minReps = Math.min(...topSets.map(set => set.reps));
+
+  if (ruleId === 'double') {
+    if (minReps >= REP_RANGE.max) {
+      return { weight: roundLoad(best.weight + WEIGHT_INCREMENT_KG), reps: REP_RANGE.min, reason: `All sets reached ${REP_RANGE.max} reps, add weight` };
+    }
+    return { weight: best.weight, reps: Math.min(REP_RANGE.max, Math.max(minReps + 1, REP_RANGE.min)), reason: 'Add a rep at the same weight' };
+  }
+
+  if (!allSetsHit) {
+    return { weight: best.weight, reps: targetReps, reason: 'Repeat until every set hits its reps' };
+  }
+
+  if (ruleId === 'percentage') {
+    return { weight: roundLoad(best.weight * (1 + PERCENT_INCREMENT / 100)), reps: targetReps, reason: `+${PERCENT_INCREMENT}% load` };
+  }
+
+  return { weight: roundLoad(best.weight + WEIGHT_INCREMENT_KG), reps: targetReps, reason: `+${WEIGHT_INCREMENT_KG}kg` };
+};
+
+// True when none of the last `sessions` sessions beat the best estimated 1RM
+// from before them, using the user's 1RM `formula`. `history` is oldest
+// first; each entry has `sets`.
+export const isStalled = (history, sessions = STALL_SESSIONS, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (history.length <= sessions) return false;
+
+  const bestOf = (entries) => Math.max(0, ...entries.flatMap(entry =>
+    getCompletedSets(entry.sets).map(set => estimateOneRepMax(set.weight, set.reps, formula))
+  ));
+
+  const before = bestOf(history.slice(0, -sessions));
+  return before > 0 && bestOf(history.slice(-sessions)) <= before;
+};
+
+// "80kg × 8, 8, 7 · 85kg × 5" — reps grouped under each weight in logged
+// order. Falls back to the set count when no loads were entered.
+export const formatSetSummary = (sets) => {
+  const completed = getCompletedSets(sets);
+  if (completed.length === 0) return `${sets.length} ${sets.length === 1 ? 'set' : 'sets'}`;
+
+  const groups = [];
+  completed.forEach(set => {
+    const last = groups[groups.length - 1];
+    if (last && last.weight === set.weight) {
+      last.reps.push(set.reps);
+    } else {
+      groups.push({ weight: set.weight, reps: [set.reps] });
+    }
+  });
+  return groups.map(group => `${group.weight}kg × ${group.reps.join(', ')}`).join(' · ');
+};
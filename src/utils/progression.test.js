@@ -0,0 +1,19 @@
+import { isStalled } from './progression';
+
+const session = (weight, reps) => ({ sets: [{ weight, reps, rpe: null }] });
+
+describe('isStalled', () => {
+  // A heavy triple, then three sessions of lighter twelves
+  const history = [session(100, 3), session(76, 12), session(76, 12), session(76, 12)];
+
+  test('compares sessions with the chosen 1RM formula', () => {
+    // Epley: 110 before, 106.4 since
+    expect(isStalled(history, 3, 'epley')).toBe(true);
+    // Brzycki: 105.9 before, 109.4 since
+    expect(isStalled(history, 3, 'brzycki')).toBe(false);
+  });
+
+  test('needs more sessions than the stall window', () => {
+    expect(isStalled(history.slice(1), 3, 'epley')).toBe(false);
+  });
+});
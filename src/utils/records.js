@@ -0,0 +1,39 @@
+// Estimated one-rep max formulas and personal record types. The chosen
+// formula is stored under ONE_REP_MAX_FORMULA_KEY in the meta store.
+
+export const ONE_REP_MAX_FORMULA_KEY = 'oneRepMaxFormula';
+
+export const ONE_REP_MAX_FORMULAS = [
+  { id: 'epley', label: 'Epley' },
+  { id: 'brzycki', label: 'Brzycki' }
+];
+export const DEFAULT_ONE_REP_MAX_FORMULA = 'epley';
+
+// Brzycki divides by (37 - reps), so it is only defined below 37 reps
+const MAX_BRZYCKI_REPS = 36;
+
+export const RECORD_TYPES = {
+  weight: 'Heaviest weight',
+  e1rm: 'Best est. 1RM',
+  reps: 'Most reps',
+  volume: 'Best session volume'
+};
+
+// A single rep is the 1RM itself
+export const estimateOneRepMax = (weight, reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (!weight || !reps) return 0;
+  if (reps === 1) return weight;
+  if (formula === 'brzycki') {
+    return weight * 36 / (37 - Math.min(reps, MAX_BRZYCKI_REPS));
+  }
+  return weight * (1 + reps / 30);
+};
+
+export const roundRecord = (value) => Math.round(value * 10) / 10;
+
+// "Heaviest weight: 100kg × 3"
+export const formatRecord = (record) => {
+  const label = RECORD_TYPES[record.type];
+  if (record.type === 'e1rm' || record.type === 'volume') return `${label}: ${roundRecord(record.value)}kg`;
+  return `${label}: ${record.weight}kg × ${record.reps}`;
+};
@@ -0,0 +1,48 @@
+// Rest timer helpers. Defaults are stored per exercise (or per muscle group
+// for general entries) under REST_DEFAULTS_KEY in the meta store.
+
+export const REST_DEFAULTS_KEY = 'restDefaults';
+export const DEFAULT_REST_SECONDS = 90;
+export const REST_STEP_SECONDS = 15;
+export const REST_OPTIONS = [30, 45, 60, 90, 120, 150, 180, 240, 300];
+
+// Rests longer than this are treated as a break rather than rest between sets
+export const MAX_RECORDED_REST_SECONDS = 30 * 60;
+
+export const getRestLabel = (workout) => {
+  return workout.exercise ? workout.exercise.name : workout.bodyPart.name;
+};
+
+// 95 -> "1:35"
+export const formatRestTime = (totalSeconds) => {
+  const seconds = Math.max(0, Math.round(totalSeconds));
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${String(secs).padStart(2, '0')}`;
+};
+
+// Vibrate and, when the tab is in the background, show a system notification
+export const alertRestOver = (label) => {
+  if (navigator.vibrate) {
+    navigator.vibrate([200, 100, 200]);
+  }
+
+  if (typeof Notification !== 'undefined' && Notification.permission === 'granted' && document.hidden) {
+    try {
+      new Notification('Rest over', { body: `Time for your next set of ${label}`, tag: 'rest-timer' });
+    } catch (error) {
+      // Some mobile browsers only allow notifications from a service worker
+      console.error('Failed to show rest notification:', error);
+    }
+  }
+};
+
+// Ask once, from the first timer a user starts
+export const requestRestNotifications = () => {
+  if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+    // Older Safari takes a callback and returns nothing
+    Promise.resolve(Notification.requestPermission()).catch(error => {
+      console.error('Failed to request notification permission:', error);
+    });
+  }
+};
@@ -0,0 +1,81 @@
+// Workout sessions: an explicit start/finish around the exercises logged in
+// one visit to the gym. Time spent paused is accumulated in `pausedMs`, and
+// `pausedAt` is set while the session is paused. Functions take `now` so the
+// duration maths stays pure.
+
+export const createSession = (date, now = Date.now()) => ({
+  id: `session-${now}`,
+  date: date.toISOString(),
+  startedAt: new Date(now).toISOString(),
+  finishedAt: null,
+  pausedAt: null,
+  pausedMs: 0,
+  notes: ''
+});
+
+export const isSessionActive = (session) => !session.finishedAt;
+
+export const isSessionPaused = (session) => Boolean(session.pausedAt);
+
+export const pauseSession = (session, now = Date.now()) => {
+  if (!isSessionActive(session) || isSessionPaused(session)) return session;
+  return { ...session, pausedAt: new Date(now).toISOString() };
+};
+
+export const resumeSession = (session, now = Date.now()) => {
+  if (!isSessionPaused(session)) return session;
+  return {
+    ...session,
+    pausedAt: null,
+    pausedMs: session.pausedMs + (now - new Date(session.pausedAt).getTime())
+  };
+};
+
+// Finishing while paused does not count the paused stretch
+export const finishSession = (session, now = Date.now()) => {
+  if (!isSessionActive(session)) return session;
+  return { ...resumeSession(session, now), finishedAt: new Date(now).toISOString() };
+};
+
+// Active time, excluding pauses. Running sessions are measured up to `now`.
+export const getSessionDurationMs = (session, now = Date.now()) => {
+  const start = new Date(session.startedAt).getTime();
+  if (isNaN(start)) return 0;
+
+  const end = session.finishedAt ? new Date(session.finishedAt).getTime() : now;
+  const pausedUntil = session.finishedAt || !session.pausedAt ? end : new Date(session.pausedAt).getTime();
+  return Math.max(0, pausedUntil - start - (session.pausedMs || 0));
+};
+
+export const getSessionMinutes = (session, now = Date.now()) => {
+  return Math.floor(getSessionDurationMs(session, now) / 60000);
+};
+
+// Still running, but started on an earlier day than `today`
+export const isSessionStale = (session, today) => {
+  return isSessionActive(session) && new Date(session.date) < today;
+};
+
+// Latest entry or set timestamp logged in a session, or null when empty
+export const getLastActivityMs = (workouts, sessionId) => {
+  const times = workouts
+    .filter(workout => workout.sessionId === sessionId)
+    .flatMap(workout => [workout.timestamp, ...(Array.isArray(workout.sets) ? workout.sets.map(set => set.timestamp) : [])])
+    .map(timestamp => new Date(timestamp).getTime())
+    .filter(time => !isNaN(time));
+  return times.length > 0 ? Math.max(...times) : null;
+};
+
+// Finish a session that was left running on an earlier day. A paused session
+// ends where it was paused; otherwise at its last logged activity, capped at
+// the end of its day. With nothing logged it ends where it started.
+export const closeStaleSession = (session, lastActivityMs = null) => {
+  if (isSessionPaused(session)) return finishSession(session, new Date(session.pausedAt).getTime());
+
+  const start = new Date(session.startedAt).getTime();
+  const endOfDay = new Date(session.date);
+  endOfDay.setHours(23, 59, 59, 999);
+  if (isNaN(start)) return finishSession(session, endOfDay.getTime());
+  const end = lastActivityMs === null ? start : Math.min(lastActivityMs, endOfDay.getTime());
+  return finishSession(session, Math.max(start, end));
+};
@@ -0,0 +1,62 @@
+import {
+  createSession,
+  pauseSession,
+  isSessionStale,
+  getLastActivityMs,
+  closeStaleSession,
+  getSessionMinutes
+} from './sessions';
+
+const day = new Date(2024, 5, 3);
+const at = (hours, minutes = 0) => new Date(2024, 5, 3, hours, minutes).getTime();
+const session = createSession(day, at(18));
+
+describe('isSessionStale', () => {
+  test('is true for a running session from an earlier day', () => {
+    expect(isSessionStale(session, new Date(2024, 5, 4))).toBe(true);
+  });
+
+  test('is false on the day it started or once finished', () => {
+    expect(isSessionStale(session, day)).toBe(false);
+    expect(isSessionStale(closeStaleSession(session), new Date(2024, 5, 4))).toBe(false);
+  });
+});
+
+describe('getLastActivityMs', () => {
+  test('takes the latest entry or set timestamp in the session', () => {
+    const workouts = [
+      { sessionId: session.id, timestamp: new Date(at(18, 5)).toISOString(), sets: [{ timestamp: new Date(at(18, 40)).toISOString() }] },
+      { sessionId: session.id, timestamp: new Date(at(18, 20)).toISOString(), sets: 3 },
+      { sessionId: 'other', timestamp: new Date(at(21)).toISOString(), sets: [] }
+    ];
+    expect(getLastActivityMs(workouts, session.id)).toBe(at(18, 40));
+  });
+
+  test('is null when nothing was logged', () => {
+    expect(getLastActivityMs([], session.id)).toBeNull();
+  });
+});
+
+describe('closeStaleSession', () => {
+  test('ends at the last activity', () => {
+    const closed = closeStaleSession(session, at(19, 15));
+    expect(closed.finishedAt).toBe(new Date(at(19, 15)).toISOString());
+    expect(getSessionMinutes(closed)).toBe(75);
+  });
+
+  test('caps activity at the end of the session day', () => {
+    const closed = closeStaleSession(session, new Date(2024, 5, 4, 9).getTime());
+    expect(closed.finishedAt).toBe(new Date(2024, 5, 3, 23, 59, 59, 999).toISOString());
+  });
+
+  test('ends where it started when nothing was logged', () => {
+    expect(getSessionMinutes(closeStaleSession(session))).toBe(0);
+  });
+
+  test('ends a paused session where it was paused', () => {
+    const closed = closeStaleSession(pauseSession(session, at(18, 50)), at(19, 30));
+    expect(closed.finishedAt).toBe(new Date(at(18, 50)).toISOString());
+    expect(closed.pausedAt).toBeNull();
+    expect(getSessionMinutes(closed)).toBe(50);
+  });
+});
@@ -0,0 +1,30 @@
+// Streak goals. A daily streak survives up to `restDays` days off in a row;
+// a weekly streak counts consecutive weeks with at least `daysPerWeek`
+// training days. The goal is stored under STREAK_GOAL_KEY in the meta store.
+
+export const STREAK_GOAL_KEY = 'streakGoal';
+export const MAX_REST_DAYS = 6;
+
+export const STREAK_MODES = [
+  { id: 'days', label: 'Training days' },
+  { id: 'weekly', label: 'Days per week' }
+];
+
+export const DEFAULT_STREAK_GOAL = { mode: 'days', restDays: 1, daysPerWeek: 3 };
+
+// "5 days" / "1 week"
+export const formatStreak = (count, mode) => {
+  const unit = mode === 'weekly' ? 'week' : 'day';
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+};
+
+// Daily set count -> heatmap shade, from no training to a big day
+export const HEATMAP_LEVELS = [
+  { minSets: 21, color: '#c2410c' }, // orange-700
+  { minSets: 11, color: '#f97316' }, // orange-500
+  { minSets: 6, color: '#fdba74' }, // orange-300
+  { minSets: 1, color: '#fed7aa' }, // orange-200
+  { minSets: 0, color: '#f1f5f9' } // slate-100
+];
+
+export const getHeatmapColor = (sets) => HEATMAP_LEVELS.find(level => sets >= level.minSets).color;
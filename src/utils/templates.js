@@ -0,0 +1,58 @@
+import { normalizeWorkout } from './workoutRecords';
+
+// Workout templates ("Push Day", "Leg Day"): an ordered list of exercises,
+// each with a target number of sets. Items store the body part by name and a
+// snapshot of the exercise, like workout records do.
+
+export const DEFAULT_TARGET_SETS = 3;
+export const MAX_TARGET_SETS = 20;
+
+export const createTemplateItem = (bodyPart, exercise = null, targetSets = DEFAULT_TARGET_SETS) => ({
+  bodyPart: bodyPart.name,
+  exercise: exercise ? { id: exercise.id, name: exercise.name, secondary: exercise.secondary } : null,
+  targetSets
+});
+
+export const createTemplate = (name = '', items = []) => {
+  const now = new Date().toISOString();
+  return {
+    id: `template-${Date.now()}`,
+    name,
+    items,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+export const duplicateTemplate = (template) => ({
+  ...createTemplate(`${template.name} (copy)`, template.items.map(item => ({ ...item }))),
+  id: `template-${Date.now()}-copy`
+});
+
+// One template item per logged exercise, in the order they were logged
+export const templateItemsFromWorkouts = (workouts) => {
+  return workouts
+    .map(normalizeWorkout)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .map(workout => ({
+      bodyPart: workout.bodyPart.name,
+      exercise: workout.exercise,
+      targetSets: workout.sets.length
+    }));
+};
+
+export const getTemplateItemLabel = (item) => (item.exercise ? item.exercise.name : `General ${item.bodyPart}`);
+
+export const moveItem = (items, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= items.length) return items;
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+export const clampTargetSets = (value) => {
+  const number = parseInt(value, 10);
+  if (isNaN(number)) return 1;
+  return Math.min(MAX_TARGET_SETS, Math.max(1, number));
+};
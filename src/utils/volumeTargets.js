@@ -0,0 +1,54 @@
+// Weekly set targets per muscle group, stored as { [bodyPartName]: { min, max } }
+// under VOLUME_TARGETS_KEY in the meta store. A group without an entry has
+// no target. Until the user sets their own, the moderate preset applies.
+
+export const VOLUME_TARGETS_KEY = 'volumeTargets';
+export const MAX_WEEKLY_SETS = 40;
+
+// Common hypertrophy guidance, in direct sets per muscle group per week
+export const VOLUME_PRESETS = [
+  { id: 'maintenance', label: 'Maintenance', min: 4, max: 6 },
+  { id: 'moderate', label: 'Moderate', min: 10, max: 14 },
+  { id: 'high', label: 'High', min: 15, max: 20 }
+];
+
+// Cardio sets say little about training volume, so presets leave it alone
+const PRESET_EXCLUDED = ['Cardio'];
+
+export const applyVolumePreset = (preset, bodyParts) => {
+  const targets = {};
+  bodyParts
+    .filter(part => !PRESET_EXCLUDED.includes(part.name))
+    .forEach(part => {
+      targets[part.name] = { min: preset.min, max: preset.max };
+    });
+  return targets;
+};
+
+export const getDefaultVolumeTargets = (bodyParts) => applyVolumePreset(VOLUME_PRESETS[1], bodyParts);
+
+// 'under', 'at' or 'over', or null when the group has no target
+export const getTargetStatus = (sets, target) => {
+  if (!target) return null;
+  if (sets < target.min) return 'under';
+  if (sets > target.max) return 'over';
+  return 'at';
+};
+
+// Drop malformed entries, e.g. from an imported backup, and keep min <= max
+export const sanitizeVolumeTargets = (targets, bodyPartNames) => {
+  const clean = {};
+  if (!targets || typeof targets !== 'object') return clean;
+
+  Object.entries(targets).forEach(([name, target]) => {
+    if (!bodyPartNames.includes(name) || !target) return;
+    const min = Number(target.min);
+    const max = Number(target.max);
+    if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0) return;
+    clean[name] = {
+      min: Math.min(min, MAX_WEEKLY_SETS),
+      max: Math.min(Math.max(min, max), MAX_WEEKLY_SETS)
+    };
+  });
+  return clean;
+};
@@ -0,0 +1,70 @@
+import { isCardioPart, isCardioWorkout, createCardio } from './cardio';
+
+// A single logged set. Weight and reps stay null until the user fills them in;
+// RPE is optional and only recorded when entered. `restSeconds` is the rest
+// actually taken before this set, filled in by the rest timer.
+export const createSet = (previous = null, restSeconds = null) => ({
+  weight: previous ? previous.weight : null,
+  reps: previous ? previous.reps : null,
+  rpe: null,
+  restSeconds,
+  timestamp: new Date().toISOString()
+});
+
+// A new workout record for `date` (local midnight). Backfilled entries keep
+// the current time of day on that date; `offsetMs` keeps entries created in
+// one go in order. Cardio entries log a `cardio` object instead of sets.
+export const createWorkout = (bodyPart, exercise, date, { sets = [createSet()], sessionId = null, offsetMs = 0 } = {}) => {
+  const timestamp = new Date(date);
+  const now = new Date();
+  timestamp.setHours(now.getHours(), now.getMinutes(), now.getSeconds(), now.getMilliseconds() + offsetMs);
+
+  return {
+    id: Date.now() + Math.random(), // Ensure unique ID to prevent conflicts
+    date: date.toISOString(),
+    bodyPart,
+    exercise: exercise ? { id: exercise.id, name: exercise.name, secondary: exercise.secondary } : null,
+    timestamp: timestamp.toISOString(),
+    sets: isCardioPart(bodyPart) ? [] : sets,
+    ...(isCardioPart(bodyPart) && { cardio: createCardio(exercise) }),
+    sessionId
+  };
+};
+
+// Identifies what an entry trained: the exercise, or the muscle group for
+// general entries. Per-exercise settings and history are keyed by this.
+export const getExerciseKey = (workout) => {
+  return workout.exercise ? `exercise:${workout.exercise.id}` : `bodyPart:${workout.bodyPart.name}`;
+};
+
+// Number of sets in a workout record. Older records stored `sets` as a bare
+// count. Cardio is measured in minutes and distance, so it has no sets.
+export const getSetCount = (workout) => {
+  if (isCardioWorkout(workout)) return 0;
+  if (Array.isArray(workout.sets)) return workout.sets.length;
+  return workout.sets || 1;
+};
+
+// Upgrade records saved before per-set logging into the set-list shape
+export const normalizeWorkout = (workout) => {
+  if (Array.isArray(workout.sets)) return workout;
+  const count = workout.sets || 1;
+  return {
+    ...workout,
+    sets: Array.from({ length: count }, () => ({ ...createSet(), timestamp: workout.timestamp }))
+  };
+};
+
+// Heaviest set that has a weight entered, used for the card summary line
+export const getTopSet = (workout) => {
+  return workout.sets
+    .filter(set => set.weight !== null)
+    .reduce((best, set) => (!best || set.weight > best.weight ? set : best), null);
+};
+
+// Set table inputs arrive as strings; blank or invalid entries are stored as null
+export const parseSetValue = (value) => {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = parseFloat(value);
+  return isNaN(number) || number < 0 ? null : number;
+};
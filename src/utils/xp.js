@@ -0,0 +1,85 @@
+// XP engine behind the muscle group levels. Every set earns XP scaled by its
+// intensity, groups lose XP when left untrained, and the level curve decides
+// how much XP each level takes. Settings are stored under XP_SETTINGS_KEY in
+// the meta store.
+
+export const XP_SETTINGS_KEY = 'xpSettings';
+export const XP_PER_SET = 10;
+export const MAX_LEVEL = 30;
+
+// Decay starts after this many days without training a group
+export const DECAY_GRACE_DAYS = 10;
+export const DECAY_PER_DAY = 0.01;
+
+// XP needed to go from `level` to `level + 1`
+export const XP_CURVES = [
+  { id: 'gentle', label: 'Gentle', increment: (level) => 60 * level },
+  { id: 'classic', label: 'Classic', increment: (level) => 35 * level ** 1.5 },
+  { id: 'steep', label: 'Steep', increment: (level) => 25 * level ** 2 }
+];
+
+export const DEFAULT_XP_SETTINGS = { curve: 'classic', decay: true };
+
+// Rank ladder by level, checked from the top
+export const RANKS = [
+  { minLevel: 20, rank: 'Master', color: '#7c3aed' }, // violet-600
+  { minLevel: 15, rank: 'Expert', color: '#dc2626' }, // red-600
+  { minLevel: 10, rank: 'Advanced', color: '#ea580c' }, // orange-600
+  { minLevel: 5, rank: 'Intermediate', color: '#16a34a' }, // green-600
+  { minLevel: 1, rank: 'Beginner', color: '#64748b' } // slate-500
+];
+
+const getCurve = (curveId) => XP_CURVES.find(curve => curve.id === curveId) || XP_CURVES[1];
+
+// Total XP needed to reach `level` from level 1
+export const getLevelThreshold = (level, curveId) => {
+  const { increment } = getCurve(curveId);
+  let total = 0;
+  for (let current = 1; current < level; current++) {
+    total += increment(current);
+  }
+  return total;
+};
+
+// Level, rank and progress towards the next level for an XP total.
+// `progress` is 0-100 and stays at 100 once MAX_LEVEL is reached.
+export const getLevelProgress = (xp, curveId) => {
+  let level = 1;
+  while (level < MAX_LEVEL && xp >= getLevelThreshold(level + 1, curveId)) {
+    level += 1;
+  }
+
+  const { rank, color } = RANKS.find(entry => level >= entry.minLevel);
+  if (level === MAX_LEVEL) {
+    return { level, rank, color, levelXp: 0, levelSpan: 0, progress: 100, isMaxLevel: true };
+  }
+
+  const start = getLevelThreshold(level, curveId);
+  const levelSpan = getLevelThreshold(level + 1, curveId) - start;
+  const levelXp = xp - start;
+  return { level, rank, color, levelXp, levelSpan, progress: (levelXp / levelSpan) * 100, isMaxLevel: false };
+};
+
+// Multiplier for one set. RPE wins when recorded; otherwise the load relative
+// to the exercise's best estimated 1RM; otherwise the set counts as moderate.
+export const getSetIntensity = (set, oneRepMax, bestOneRepMax) => {
+  if (set.rpe !== null && set.rpe !== undefined) {
+    if (set.rpe >= 9) return 1.3;
+    if (set.rpe >= 7) return 1.1;
+    if (set.rpe >= 5) return 1;
+    return 0.8;
+  }
+  if (oneRepMax > 0 && bestOneRepMax > 0) {
+    const relative = oneRepMax / bestOneRepMax;
+    if (relative >= 0.9) return 1.2;
+    if (relative >= 0.75) return 1;
+    return 0.8;
+  }
+  return 1;
+};
+
+// XP left after `idleDays` without training the group
+export const applyDecay = (xp, idleDays) => {
+  const decayDays = idleDays - DECAY_GRACE_DAYS;
+  return decayDays > 0 ? xp * (1 - DECAY_PER_DAY) ** decayDays : xp;
+};
@@ -0,0 +1,87 @@
+import {
+  MAX_LEVEL,
+  DECAY_GRACE_DAYS,
+  DECAY_PER_DAY,
+  getLevelThreshold,
+  getLevelProgress,
+  getSetIntensity,
+  applyDecay
+} from './xp';
+
+const set = (rpe = null) => ({ weight: 100, reps: 5, rpe });
+
+describe('getLevelThreshold', () => {
+  test('sums the curve increments below a level', () => {
+    expect(getLevelThreshold(1, 'gentle')).toBe(0);
+    expect(getLevelThreshold(2, 'gentle')).toBe(60);
+    expect(getLevelThreshold(3, 'gentle')).toBe(180);
+    expect(getLevelThreshold(3, 'steep')).toBe(25 + 100);
+  });
+
+  test('falls back to the classic curve for unknown ids', () => {
+    expect(getLevelThreshold(5, 'missing')).toBe(getLevelThreshold(5, 'classic'));
+  });
+});
+
+describe('getLevelProgress', () => {
+  test('reaches a level exactly at its threshold', () => {
+    expect(getLevelProgress(59.9, 'gentle')).toMatchObject({ level: 1, levelSpan: 60 });
+    expect(getLevelProgress(60, 'gentle')).toMatchObject({ level: 2, levelXp: 0, levelSpan: 120, progress: 0 });
+    expect(getLevelProgress(120, 'gentle').progress).toBe(50);
+  });
+
+  test('assigns ranks by level', () => {
+    expect(getLevelProgress(0, 'gentle').rank).toBe('Beginner');
+    expect(getLevelProgress(getLevelThreshold(5, 'gentle'), 'gentle').rank).toBe('Intermediate');
+  });
+
+  test('stops at MAX_LEVEL with a full bar', () => {
+    const threshold = getLevelThreshold(MAX_LEVEL, 'classic');
+    const below = getLevelProgress(threshold - 1, 'classic');
+    expect(below.level).toBe(MAX_LEVEL - 1);
+    expect(below.progress).toBeLessThan(100);
+
+    [threshold, threshold * 10].forEach(xp => {
+      expect(getLevelProgress(xp, 'classic')).toMatchObject({
+        level: MAX_LEVEL,
+        rank: 'Master',
+        levelXp: 0,
+        levelSpan: 0,
+        progress: 100,
+        isMaxLevel: true
+      });
+    });
+  });
+});
+
+describe('getSetIntensity', () => {
+  test('uses RPE when it was recorded', () => {
+    expect(getSetIntensity(set(9.5), 100, 100)).toBe(1.3);
+    expect(getSetIntensity(set(7), 50, 100)).toBe(1.1);
+    expect(getSetIntensity(set(5), 100, 100)).toBe(1);
+    expect(getSetIntensity(set(3), 100, 100)).toBe(0.8);
+  });
+
+  test('falls back to load relative to the best estimated 1RM', () => {
+    expect(getSetIntensity(set(), 95, 100)).toBe(1.2);
+    expect(getSetIntensity(set(), 80, 100)).toBe(1);
+    expect(getSetIntensity(set(), 60, 100)).toBe(0.8);
+  });
+
+  test('counts a set as moderate without RPE or a previous best', () => {
+    expect(getSetIntensity(set(), 100, 0)).toBe(1);
+    expect(getSetIntensity({ weight: null, reps: null, rpe: null }, 0, 100)).toBe(1);
+  });
+});
+
+describe('applyDecay', () => {
+  test('keeps XP within the grace period', () => {
+    expect(applyDecay(500, 0)).toBe(500);
+    expect(applyDecay(500, DECAY_GRACE_DAYS)).toBe(500);
+  });
+
+  test('loses a share of XP per day past the grace period', () => {
+    expect(applyDecay(500, DECAY_GRACE_DAYS + 1)).toBeCloseTo(500 * (1 - DECAY_PER_DAY));
+    expect(applyDecay(500, DECAY_GRACE_DAYS + 10)).toBeCloseTo(500 * (1 - DECAY_PER_DAY) ** 10);
+  });
+});